@@ -5,16 +5,111 @@ if (typeof browser === "undefined") {
 
 "use strict";
 
+importScripts(
+  "lib/schedule.js",
+  "lib/matcher.js",
+  "lib/pattern-index.js",
+  "lib/budget.js",
+  "lib/verdict.js",
+  "lib/groups.js",
+  "lib/commitment.js",
+  "lib/password.js",
+  "lib/importers.js",
+  "lib/subscriptions.js",
+  "lib/keywords.js",
+  "lib/activity.js"
+);
+
 /**
  * Background service worker
  * - Watches tab URLs; if a URL matches the blocked list, tells the content script to show the overlay.
- * - Remembers unlocked hosts per tab in-memory (until service worker unload).
+ *   Content scripts also ask for a verdict ("CHECK_URL") when the verdict cache does not settle a page
+ *   load, on single-page-app navigations (pushState/replaceState/popstate) and from inside iframes,
+ *   which get their own frame-level overlay.
+ * - The blocked list is split into named groups ("blockedGroups"); only enabled groups block. A legacy
+ *   flat "blockedSites" list is migrated into a "Default" group on install/startup.
+ * - Subscribed lists ("subscriptions", lib/subscriptions.js) are downloaded by a "subscriptions-refresh" alarm
+ *   (conditional requests with ETag / Last-Modified) and cached in storage.local "subscriptionCache"; their
+ *   entries block alongside the enabled groups but never become part of the editable list.
+ * - Keyword rules ("keywordRules", lib/keywords.js) go to content scripts in the verdict cache; a content
+ *   script that finds a keyword in the search terms, title or text of its page asks for the overlay
+ *   ("KEYWORD_BLOCK"), which is shown unless the host is unlocked in the tab.
+ * - Entries may carry an action ("reddit.com => redirect https://todo.example/", "=> warn", "=> close",
+ *   "=> hard", "=> typing"); the strictest one among the matching entries decides. Redirect and close act
+ *   on the tab here; warn, challenge and hard are overlay variants. Unlocks (and the tab's allow rules) only
+ *   ever let a page through the password overlay, a challenge or a warning.
+ * - Entries may carry a schedule ("reddit.com @ Mon-Fri 09:00-17:30"); they only block while it is active.
+ *   An alarm fires at the next schedule boundary so open tabs lock as soon as a window starts.
+ * - Tab checks use the entries in effect kept in memory, with a compiled index (lib/pattern-index.js)
+ *   over them; dropped when storage.onChanged reports a change they depend on and rebuilt lazily.
+ * - Keeps a precompiled "verdictCache" (lib/verdict.js) of the entries in effect in storage.local, so
+ *   content scripts can let allowed pages through at document_start without waiting for this worker.
+ * - Enforcement mode "network": turns the active entries into declarativeNetRequest dynamic rules that
+ *   redirect blocked main-frame requests to lock/lock.html#<original URL>.
+ * - Daily time budgets ("youtube.com: 30 minutes/day"): time on matching pages counts while the tab is
+ *   active in the focused window; once used up the entry blocks like any other until the reset hour.
+ *   A password unlock grants a small extra allowance instead of unlocking the host.
+ * - Focus sessions: for N minutes the focus list ("focusSites") blocks on top of the blocked list and
+ *   unlocking is off; the password only ends the session early. The session is stored with its end
+ *   time and ended by a "focus-end" alarm; a per-minute "focus-tick" alarm keeps the badge countdown current.
+ * - Commitment mode: changes that lower protection are queued by the options page ("pendingChanges")
+ *   and applied here once due, by a "pending-change" alarm armed for the earliest one.
+ * - Remembers unlocked hosts per tab in-memory, mirrored as per-tab "allow" session rules so the
+ *   state survives a service worker restart (and lets unlocked tabs through the network rules).
+ * - Timed unlocks arm a "relock:<tabId>:<host>" alarm that puts the overlay back when they expire.
+ * - Roles: the password that unlocks a page is the master password, or the own unlock password
+ *   ("groupUnlockHashes") of each group that blocks it; the admin password ("adminHash"), which also
+ *   gates the options page, is accepted everywhere.
+ * - Verifies unlock passwords for the overlay and enforces escalating cooldowns / a hard lockout
+ *   after repeated failures (persisted, so reloading or opening a new tab does not reset it).
+ * - Answers the toolbar popup: status of the current tab and the rules that match it, adding the tab's
+ *   domain or page to the blocked list, and relocking a tab that was unlocked.
+ * - Activity log ("activityLog", lib/activity.js): records blocked pages, unlocks with their duration and
+ *   the reason given (when "unlockReasonRequired" is on, unlocks without one are refused), wrong passwords
+ *   and settings changes, keeping "activityRetentionDays" of them.
  * - Opens Options page on demand (from content script message).
  */
 
-// In-memory: Map tabId -> Set(hosts unlocked for that tab)
+// In-memory: Map tabId -> Map(host -> expiresAt ms, 0 = until the tab closes)
 const unlockedHostsByTab = new Map();
 
+const RELOCK_ALARM_PREFIX = "relock:";
+
+const LOCK_PAGE = "lock/lock.html";
+// Tab unlocks outrank entries that can be unlocked, but not redirect, close and hard entries;
+// exceptions outrank everything
+const NETWORK_BLOCK_PRIORITY = 1;
+const NETWORK_UNLOCK_PRIORITY = 2;
+const NETWORK_STRICT_PRIORITY = 3;
+const NETWORK_ALLOW_PRIORITY = 4;
+
+// Actions (lib/matcher.js) that a tab unlock lets through
+const UNLOCKABLE_ACTIONS = ["lock", "warn", "challenge"];
+// Actions shown as an overlay in the page; an iframe gets the password overlay for the others
+const OVERLAY_ACTIONS = ["lock", "warn", "challenge", "hard"];
+
+const BUDGET_TICK_ALARM = "budget-tick";
+const BUDGET_RESET_ALARM = "budget-reset";
+// Longest stretch credited at once, so a sleeping computer does not burn through a budget
+const MAX_BUDGET_FLUSH_MS = 2 * 60 * 1000;
+
+const PENDING_CHANGE_ALARM = "pending-change";
+
+const SUBSCRIPTION_ALARM = "subscriptions-refresh";
+// How often the alarm looks for lists that are due (each list is downloaded every REFRESH_INTERVAL_MS)
+const SUBSCRIPTION_CHECK_MINUTES = 60;
+
+const FOCUS_END_ALARM = "focus-end";
+const FOCUS_TICK_ALARM = "focus-tick";
+const MAX_FOCUS_MINUTES = 8 * 60;
+const FOCUS_BADGE_COLOR = "#7c3aed";
+
+// Brute-force protection: free attempts, then doubling cooldowns, then a hard lockout
+const FREE_ATTEMPTS = 3;
+const BASE_COOLDOWN_MS = 15 * 1000;
+const HARD_LOCKOUT_AFTER = 10;
+const HARD_LOCKOUT_MS = 30 * 60 * 1000;
+
 // -------- Utilities --------
 
 function getHost(url) {
@@ -31,74 +126,271 @@ function storageGet(area, defaults) {
   });
 }
 
+function storageSet(area, items) {
+  return new Promise((resolve) => {
+    chrome.storage[area].set(items, () => resolve());
+  });
+}
+
+// "overlay" (default) or "network"
+async function getEnforcementMode() {
+  const { enforcementMode } = await storageGet("local", { enforcementMode: "overlay" });
+  return enforcementMode === "network" ? "network" : "overlay";
+}
+
 // "sync" or "local" — where to store the blocked list
 async function getBlockedStorageArea() {
   const { blockedStorage } = await storageGet("local", { blockedStorage: "sync" });
   return blockedStorage === "local" ? "local" : "sync";
 }
 
+function normalizeList(list) {
+  if (!Array.isArray(list)) return [];
+  return Array.from(new Set(list.map((s) => (s || "").trim()).filter(Boolean)));
+}
+
+async function getBlockedGroups() {
+  const area = await getBlockedStorageArea();
+  return SiteBlockerGroups.fromStorage(await storageGet(area, { blockedGroups: null, blockedSites: [] }));
+}
+
+// Entries of the enabled groups
 async function getBlockedSites() {
+  return SiteBlockerGroups.enabledEntries(await getBlockedGroups());
+}
+
+// Older versions kept one flat "blockedSites" list; store it as the "Default" group
+async function migrateBlockedSites() {
+  const area = await getBlockedStorageArea();
+  const items = await storageGet(area, { blockedGroups: null, blockedSites: null });
+  if (Array.isArray(items.blockedGroups) || items.blockedSites === null) return;
+  await storageSet(area, { blockedGroups: SiteBlockerGroups.fromStorage(items) });
+  await new Promise((resolve) => chrome.storage[area].remove("blockedSites", resolve));
+}
+
+async function getSubscriptions() {
+  const area = await getBlockedStorageArea();
+  const { subscriptions } = await storageGet(area, { subscriptions: [] });
+  return SiteBlockerSubscriptions.normalizeSubscriptions(subscriptions);
+}
+
+async function getSubscriptionCache() {
+  const { subscriptionCache } = await storageGet("local", { subscriptionCache: {} });
+  return subscriptionCache || {};
+}
+
+// Plain patterns downloaded from the subscribed lists (always in effect)
+async function getSubscriptionEntries() {
+  return SiteBlockerSubscriptions.cachedEntries(await getSubscriptions(), await getSubscriptionCache());
+}
+
+async function getKeywordRules() {
+  const area = await getBlockedStorageArea();
+  const { keywordRules } = await storageGet(area, { keywordRules: [] });
+  return SiteBlockerKeywords.normalizeRules(keywordRules);
+}
+
+// Plain patterns (no schedules or budgets) blocked only during a focus session
+async function getFocusSites() {
   const area = await getBlockedStorageArea();
-  const { blockedSites } = await storageGet(area, { blockedSites: [] });
-  if (!Array.isArray(blockedSites)) return [];
-  return Array.from(new Set(blockedSites.map((s) => (s || "").trim()).filter(Boolean)));
+  const { focusSites } = await storageGet(area, { focusSites: [] });
+  return normalizeList(focusSites);
+}
+
+// { startedAt, endsAt } while a focus session runs, otherwise null
+async function getFocusSession() {
+  const { focusSession } = await storageGet("local", { focusSession: null });
+  return focusSession && Number(focusSession.endsAt) > Date.now() ? focusSession : null;
+}
+
+async function getBudgetSettings() {
+  const { budgetResetHour, budgetExtraMinutes } = await storageGet("local", {
+    budgetResetHour: 0,
+    budgetExtraMinutes: 5
+  });
+  return {
+    resetHour: Math.min(23, Math.max(0, Number(budgetResetHour) || 0)),
+    extraMinutes: Math.max(1, Number(budgetExtraMinutes) || 5)
+  };
+}
+
+async function getBudgetUsage(day) {
+  const { budgetUsage } = await storageGet("local", { budgetUsage: null });
+  if (budgetUsage && budgetUsage.day === day) {
+    return { day, used: budgetUsage.used || {}, extra: budgetUsage.extra || {} };
+  }
+  return { day, used: {}, extra: {} };
 }
 
 /**
- * Block matching:
- *  - "facebook.com" (domain + subdomains)
- *  - "*.example.com" (domain + subdomains)
- *  - "https://site.com/page" (prefix match on full URL)
- *  - "example.com/path" (substring match on full URL)
+ * Entries in effect at `now` (schedules applied, the subscribed lists, plus the focus list during a focus
+ * session), split by
+ * SiteBlockerBudget.classify(): rules.patterns block as usual, rules.exhausted are budgets with no time left.
+ * focus is the running focus session or null.
  */
-function isUrlBlocked(url, patterns) {
-  const href = (url || "").toLowerCase();
-  const host = getHost(url).toLowerCase();
-  if (!href || !host) return false;
+async function getEnforcedRules(now = new Date()) {
+  const { resetHour } = await getBudgetSettings();
+  const day = SiteBlockerBudget.dayKey(now, resetHour);
+  const usage = await getBudgetUsage(day);
+  const focus = await getFocusSession();
+  const parts = SiteBlockerSchedule.activePatterns(await getBlockedSites(), now);
+  parts.push(...(await getSubscriptionEntries()));
+  if (focus) parts.push(...(await getFocusSites()));
+  return { rules: SiteBlockerBudget.classify(parts, usage, day), usage, day, focus };
+}
 
-  for (const raw of patterns || []) {
-    const p = (raw || "").trim().toLowerCase();
-    if (!p) continue;
+// When what getEnforcedRules(now) returned stops being true by itself: the next schedule boundary,
+// budget reset or end of the focus session (ms; Infinity if none)
+async function enforcedUntil(now, focus) {
+  const { resetHour } = await getBudgetSettings();
+  const boundary = nextScheduleBoundary(await getBlockedSites(), now);
+  return Math.min(
+    boundary === null ? Infinity : boundary,
+    SiteBlockerBudget.nextReset(now, resetHour),
+    focus ? focus.endsAt : Infinity
+  );
+}
 
-    if (p.startsWith("http://") || p.startsWith("https://")) {
-      if (href.startsWith(p)) return true;
-      continue;
-    }
+// -------- Compiled rules --------
 
-    if (p.includes("/")) {
-      if (href.includes(p)) return true;
-      continue;
-    }
+// getEnforcedRules() kept in memory for tab checks until a setting it depends on changes (storage.onChanged,
+// syncEnforcement) or enforcedUntil passes; rebuilt lazily, e.g. after the worker restarts. The generation
+// goes up on every invalidation so a rebuild that raced one is not kept.
+let compiledRules = null;
+let compiledGeneration = 0;
+
+function invalidateCompiledRules() {
+  compiledRules = null;
+  compiledGeneration++;
+}
+
+async function getCompiledRules() {
+  const now = new Date();
+  if (compiledRules && now.getTime() < compiledRules.validUntil) return compiledRules;
+  const generation = compiledGeneration;
+  const enforced = await getEnforcedRules(now);
+  const compiled = { ...enforced, validUntil: await enforcedUntil(now, enforced.focus) };
+  if (generation === compiledGeneration) compiledRules = compiled;
+  return compiled;
+}
+
+// Indexes of the pattern lists used most recently, keyed by the list itself: a changed list gets a new
+// index, while budget usage ticking along keeps using the old one
+const MAX_PATTERN_INDEXES = 4;
+const patternIndexes = new Map();
 
-    const pn = p.replace(/^\*\./, ""); // remove wildcard prefix
-    if (host === pn) return true;
-    if (host.endsWith("." + pn)) return true;
+function patternIndexFor(patterns) {
+  const key = patterns.join("\n");
+  let index = patternIndexes.get(key);
+  if (index) {
+    patternIndexes.delete(key);
+  } else {
+    index = SiteBlockerPatternIndex.build(patterns);
+  }
+  // Map order doubles as recency: the first key is the least recently used
+  patternIndexes.set(key, index);
+  if (patternIndexes.size > MAX_PATTERN_INDEXES) patternIndexes.delete(patternIndexes.keys().next().value);
+  return index;
+}
+
+function explainIndexed(url, patterns) {
+  return SiteBlockerPatternIndex.explain(patternIndexFor(patterns), url);
+}
 
-    if (host.includes(pn)) return true; // fallback
+/**
+ * null when allowed; otherwise { budget, action }: budget describes the exhausted time budget, if that is
+ * the reason, action is what to do (lib/matcher.js). focus: the running focus session, which allows no
+ * continuing past a warning.
+ */
+function getBlockVerdict(url, rules, focus = null) {
+  const verdict = SiteBlockerBudget.blockVerdict(url, rules, explainIndexed);
+  if (!verdict) return null;
+  const { budget } = verdict;
+  let { action } = verdict;
+  // A redirect to a page that is blocked itself would go round in circles
+  if (action.type === "redirect" && SiteBlockerBudget.blockVerdict(action.url, rules, explainIndexed)) {
+    action = { type: "lock" };
   }
-  return false;
+  if (focus && action.type === "warn") action = { type: "lock" };
+  return {
+    budget: budget ? { pattern: budget.pattern, minutes: budget.minutes, usedSeconds: budget.used } : null,
+    action
+  };
 }
 
 function isUnlocked(tabId, host) {
-  const set = unlockedHostsByTab.get(tabId);
-  return !!(set && set.has(host));
+  const hosts = unlockedHostsByTab.get(tabId);
+  if (!hosts || !hosts.has(host)) return false;
+  const expiresAt = hosts.get(host);
+  if (expiresAt && expiresAt <= Date.now()) {
+    hosts.delete(host);
+    return false;
+  }
+  return true;
+}
+
+function relockAlarmName(tabId, host) {
+  return `${RELOCK_ALARM_PREFIX}${tabId}:${host}`;
 }
 
-function markUnlocked(tabId, host) {
+// "relock:<tabId>:<host>" -> { tabId, host } (hosts may contain ":" for IPv6)
+function parseRelockAlarm(name) {
+  const rest = name.slice(RELOCK_ALARM_PREFIX.length);
+  const sep = rest.indexOf(":");
+  if (sep < 0) return null;
+  return { tabId: Number(rest.slice(0, sep)), host: rest.slice(sep + 1) };
+}
+
+function rememberUnlocked(tabId, host, expiresAt) {
   if (!unlockedHostsByTab.has(tabId)) {
-    unlockedHostsByTab.set(tabId, new Set());
+    unlockedHostsByTab.set(tabId, new Map());
   }
-  unlockedHostsByTab.get(tabId).add(host);
+  unlockedHostsByTab.get(tabId).set(host, expiresAt);
+}
+
+function markUnlocked(tabId, host, expiresAt = 0) {
+  rememberUnlocked(tabId, host, expiresAt);
+
+  const alarmName = relockAlarmName(tabId, host);
+  chrome.alarms.clear(alarmName);
+  if (expiresAt) {
+    chrome.alarms.create(alarmName, { when: expiresAt });
+  }
+  return allowHostForTab(tabId, host);
+}
+
+// The overlay only offers durations up to "unlockMaxDuration" (Options); a message asking for longer is cut
+// down to it here. expiresAt 0 (the rest of the session) only when the maximum allows it.
+async function capUnlockExpiry(expiresAt, now = Date.now()) {
+  const { unlockMaxDuration } = await storageGet("local", { unlockMaxDuration: "session" });
+  const maxMinutes = Number(unlockMaxDuration);
+  if (!maxMinutes) return expiresAt;
+  const latest = now + maxMinutes * 60 * 1000;
+  return expiresAt ? Math.min(expiresAt, latest) : latest;
 }
 
 function clearTabState(tabId) {
+  const hosts = unlockedHostsByTab.get(tabId);
+  if (hosts) {
+    for (const host of hosts.keys()) chrome.alarms.clear(relockAlarmName(tabId, host));
+  }
   unlockedHostsByTab.delete(tabId);
+  revokeAllowRules(tabId);
+}
+
+function lockPageUrl(url) {
+  return `${chrome.runtime.getURL(LOCK_PAGE)}#${url}`;
 }
 
-function sendBlockMessage(tabId, url) {
+/**
+ * Top frame only: iframes ask for their own verdict with CHECK_URL. action: "lock", "warn", "challenge" or
+ * "hard"; challenge: the challenge type for "challenge" (blocker/challenges.js).
+ */
+function sendBlockMessage(tabId, url, budget = null, focus = null, action = "lock", challenge = null) {
   const host = getHost(url);
   try {
-    chrome.tabs.sendMessage(tabId, { type: "SHOW_BLOCK", host, url }, () => {
+    const msg = { type: "SHOW_BLOCK", host, url, budget, focus, action, challenge };
+    chrome.tabs.sendMessage(tabId, msg, { frameId: 0 }, () => {
       void chrome.runtime.lastError;
     });
   } catch {
@@ -106,19 +398,860 @@ function sendBlockMessage(tabId, url) {
   }
 }
 
+/**
+ * null when url may be shown in the tab; otherwise { budget, focus, action } for the overlay: budget is the
+ * used-up time budget (with extraMinutes) if that is the reason, focus the running focus session ({ endsAt }),
+ * action what to do ({ type, url }, see lib/matcher.js).
+ */
+async function getTabVerdict(tabId, url) {
+  if (!url) return null;
+  await unlocksRestored;
+
+  const { rules, focus } = await getCompiledRules();
+  if (!rules.patterns.length && !rules.exhausted.length) return null;
+
+  const host = getHost(url);
+  if (!host) return null;
+
+  const verdict = getBlockVerdict(url, rules, focus);
+  if (!verdict) return null;
+
+  // Unlocks do not count during a focus session, nor for entries that cannot be unlocked
+  if (!focus && UNLOCKABLE_ACTIONS.includes(verdict.action.type) && isUnlocked(tabId, host)) return null;
+
+  const { extraMinutes } = await getBudgetSettings();
+  return {
+    budget: verdict.budget && { ...verdict.budget, extraMinutes },
+    focus: focus && { endsAt: focus.endsAt },
+    action: verdict.action
+  };
+}
+
+/**
+ * Redirect and close act on the whole tab, and in network mode a blocked page goes to the lock page.
+ * -> true when the tab was sent away (or closed), false when the page should show an overlay.
+ */
+async function leavePage(tabId, url, action) {
+  if (action.type === "redirect") {
+    chrome.tabs.update(tabId, { url: action.url }, () => void chrome.runtime.lastError);
+  } else if (action.type === "close") {
+    chrome.tabs.remove(tabId, () => void chrome.runtime.lastError);
+  } else if ((await getEnforcementMode()) === "network") {
+    // Tabs opened before the rules existed, or that changed URL without a request
+    chrome.tabs.update(tabId, { url: lockPageUrl(url) }, () => void chrome.runtime.lastError);
+  } else {
+    return false;
+  }
+  return true;
+}
+
 async function checkAndBlockTab(tabId, url) {
-  if (!url) return;
+  const verdict = await getTabVerdict(tabId, url);
+  if (!verdict) return;
+  logBlock(tabId, url, verdict);
+  if (await leavePage(tabId, url, verdict.action)) return;
+
+  const { type, challenge = null } = verdict.action;
+  sendBlockMessage(tabId, url, verdict.budget, verdict.focus, type, challenge);
+}
+
+// Whether a tab may unlock url (false for redirect, close and hard entries)
+async function canUnlock(url) {
+  const { rules, focus } = await getCompiledRules();
+  const verdict = getBlockVerdict(url, rules, focus);
+  return !verdict || UNLOCKABLE_ACTIONS.includes(verdict.action.type);
+}
+
+// Timed unlock expired: relock if the tab is still on that host and it is still blocked
+async function relockTab(tabId, host) {
+  const hosts = unlockedHostsByTab.get(tabId);
+  if (hosts) hosts.delete(host);
+  await revokeAllowRules(tabId, host);
+
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+  } catch {
+    return; // tab closed
+  }
+  if (!tab || !tab.url || getHost(tab.url) !== host) return;
+  checkAndBlockTab(tabId, tab.url);
+}
+
+// -------- Network-level blocking (declarativeNetRequest) --------
+
+/**
+ * One regexFilter rule per entry (see SiteBlockerMatch.toRegexFilter): block entries redirect to the
+ * lock page, exceptions ("!entry") become allow rules that outrank them. Every filter matches the whole
+ * URL, so "\0" in the redirect substitution is the original URL. Redirect entries go straight to their
+ * address (unless it is blocked too); close and hard entries go to the lock page, which closes the tab or
+ * shows the hard block. Those three outrank the tab's unlock rules.
+ */
+async function buildNetworkRules(patterns) {
+  const maxRules = chrome.declarativeNetRequest.MAX_NUMBER_OF_REGEX_RULES || 1000;
+  const substitution = `${chrome.runtime.getURL(LOCK_PAGE)}#\\0`;
+  const seen = new Set();
+  const rules = [];
+
+  for (const pattern of patterns) {
+    const parsed = SiteBlockerMatch.parsePattern(pattern);
+    if (parsed.error || parsed.kind === "cosmetic") continue;
+    const regexFilter = SiteBlockerMatch.toRegexFilter(parsed);
+    const { action } = parsed;
+    const key = `${parsed.exception ? "!" : ""}${action.type}:${action.url || ""}:${regexFilter}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    // User regexes may use JavaScript-only syntax that the rule engine (RE2) rejects
+    if (parsed.kind === "regex") {
+      const { isSupported } = await chrome.declarativeNetRequest.isRegexSupported({
+        regex: regexFilter,
+        isCaseSensitive: false
+      });
+      if (!isSupported) {
+        console.warn(`Network blocking cannot use the regex entry "${parsed.raw}"; it only applies in overlay mode.`);
+        continue;
+      }
+    }
+
+    if (rules.length >= maxRules) {
+      console.warn(`Network blocking supports ${maxRules} entries; the rest were left out.`);
+      break;
+    }
+    let priority = NETWORK_BLOCK_PRIORITY;
+    let redirect = { regexSubstitution: substitution };
+    if (parsed.exception) {
+      priority = NETWORK_ALLOW_PRIORITY;
+    } else if (!UNLOCKABLE_ACTIONS.includes(action.type)) {
+      priority = NETWORK_STRICT_PRIORITY;
+      if (action.type === "redirect" && !SiteBlockerMatch.isUrlBlocked(action.url, patterns)) {
+        redirect = { url: action.url };
+      }
+    }
+    rules.push({
+      id: rules.length + 1,
+      priority,
+      action: parsed.exception ? { type: "allow" } : { type: "redirect", redirect },
+      condition: { regexFilter, isUrlFilterCaseSensitive: false, resourceTypes: ["main_frame"] }
+    });
+  }
+  return rules;
+}
+
+// Replaces all dynamic rules with the currently active entries (none in overlay mode)
+async function syncNetworkRules() {
+  try {
+    const mode = await getEnforcementMode();
+    let patterns = [];
+    if (mode === "network") {
+      const { rules } = await getEnforcedRules();
+      patterns = rules.patterns.concat(rules.exhausted);
+    }
+    const addRules = await buildNetworkRules(patterns);
+    const existing = await chrome.declarativeNetRequest.getDynamicRules();
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: existing.map((r) => r.id),
+      addRules
+    });
+  } catch (err) {
+    console.error("Failed to update network blocking rules:", err);
+  }
+}
+
+// -------- Verdict cache --------
+
+// Rebuilt whenever the enforced entries change; see lib/verdict.js for how content scripts use it
+async function writeVerdictCache() {
+  try {
+    const now = new Date();
+    const { rules, focus } = await getEnforcedRules(now);
+    const validUntil = await enforcedUntil(now, focus);
+    const keywords = await getKeywordRules();
+    await storageSet("local", {
+      verdictCache: SiteBlockerVerdictCache.compile(rules, validUntil, now.getTime(), keywords)
+    });
+  } catch (err) {
+    console.error("Failed to update the verdict cache:", err);
+  }
+}
+
+// Everything that follows the entries in effect: compiled rules, network rules and the content scripts' cache
+function syncEnforcement() {
+  invalidateCompiledRules();
+  return Promise.all([syncNetworkRules(), writeVerdictCache()]);
+}
+
+function isAllowRuleFor(rule, tabId, host) {
+  const c = rule.condition || {};
+  return (
+    rule.action.type === "allow" &&
+    Array.isArray(c.tabIds) &&
+    c.tabIds.includes(tabId) &&
+    (host == null || (Array.isArray(c.requestDomains) && c.requestDomains.includes(host)))
+  );
+}
+
+// Session rule updates are serialized so rule ids are not handed out twice
+let sessionRuleQueue = Promise.resolve();
+
+function updateSessionRules(build) {
+  const result = sessionRuleQueue.then(async () => {
+    const rules = await chrome.declarativeNetRequest.getSessionRules();
+    const update = build(rules);
+    if (update) await chrome.declarativeNetRequest.updateSessionRules(update);
+  });
+  sessionRuleQueue = result.catch((err) => console.error("Failed to update unlock rules:", err));
+  return sessionRuleQueue;
+}
+
+function allowHostForTab(tabId, host) {
+  return updateSessionRules((rules) => {
+    if (rules.some((r) => isAllowRuleFor(r, tabId, host))) return null;
+    const id = rules.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+    return {
+      addRules: [{
+        id,
+        priority: NETWORK_UNLOCK_PRIORITY,
+        action: { type: "allow" },
+        condition: { tabIds: [tabId], requestDomains: [host], resourceTypes: ["main_frame"] }
+      }]
+    };
+  });
+}
+
+// host omitted: every rule for the tab
+function revokeAllowRules(tabId, host) {
+  return updateSessionRules((rules) => {
+    const removeRuleIds = rules.filter((r) => isAllowRuleFor(r, tabId, host)).map((r) => r.id);
+    return removeRuleIds.length ? { removeRuleIds } : null;
+  });
+}
+
+// Rebuilds the in-memory unlock map from the session rules after a service worker restart
+async function restoreUnlockedHosts() {
+  try {
+    const [rules, alarms] = await Promise.all([
+      chrome.declarativeNetRequest.getSessionRules(),
+      chrome.alarms.getAll()
+    ]);
+    for (const rule of rules) {
+      const c = rule.condition || {};
+      if (rule.action.type !== "allow" || !c.tabIds || !c.requestDomains) continue;
+      const tabId = c.tabIds[0];
+      const host = c.requestDomains[0];
+      const alarm = alarms.find((a) => a.name === relockAlarmName(tabId, host));
+      rememberUnlocked(tabId, host, alarm ? alarm.scheduledTime : 0);
+    }
+  } catch (err) {
+    console.error("Failed to restore unlocked hosts:", err);
+  }
+}
+
+const unlocksRestored = restoreUnlockedHosts();
+
+// -------- Roles --------
+
+/**
+ * Credentials a password is checked against. For "unlock": one per enabled group whose entries block url
+ * right now (its own unlock password, or the master password), or only the master password when no group
+ * does (no url, or the focus list). For "admin": none, so only the admin password works.
+ * -> { adminHash, required: [{ groupName, hash, master }] } (hash "" when that password is not set)
+ */
+async function getCredentials(url = "", role = "unlock") {
+  const { masterHash, adminHash, groupUnlockHashes } = await storageGet("local", {
+    masterHash: "",
+    adminHash: "",
+    groupUnlockHashes: {}
+  });
+  if (role === "admin") return { adminHash: adminHash || "", required: [] };
+
+  const master = { groupName: "", hash: masterHash || "", master: true };
+  const required = [];
+  if (url) {
+    const now = new Date();
+    const { usage, day } = await getCompiledRules();
+    for (const group of await getBlockedGroups()) {
+      if (!group.enabled) continue;
+      const rules = SiteBlockerBudget.classify(SiteBlockerSchedule.activePatterns(group.sites, now), usage, day);
+      if (!SiteBlockerBudget.blockVerdict(url, rules, explainIndexed)) continue;
+      const own = groupUnlockHashes && groupUnlockHashes[group.id];
+      if (own) required.push({ groupName: group.name, hash: own, master: false });
+      else if (!required.includes(master)) required.push(master);
+    }
+  }
+  return { adminHash: adminHash || "", required: required.length ? required : [master] };
+}
+
+// How the overlay names the password it wants
+function credentialLabel({ adminHash, required }) {
+  if (required.length === 1) {
+    return required[0].master ? "the master password" : `the unlock password for "${required[0].groupName}"`;
+  }
+  // Several groups with different passwords block the page: one password has to fit all of them
+  if (adminHash) return "the admin password";
+  return `the unlock password for ${required.map((c) => (c.master ? "the master password" : `"${c.groupName}"`)).join(" and ")}`;
+}
+
+function hasCredential({ adminHash, required }) {
+  return Boolean(adminHash) || (required.length > 0 && required.every((c) => c.hash));
+}
+
+// -------- Password attempts --------
+
+async function getUnlockAttempts() {
+  const { unlockAttempts } = await storageGet("local", { unlockAttempts: null });
+  return {
+    failures: (unlockAttempts && Number(unlockAttempts.failures)) || 0,
+    lockedUntil: (unlockAttempts && Number(unlockAttempts.lockedUntil)) || 0
+  };
+}
+
+function cooldownAfter(failures) {
+  if (failures >= HARD_LOCKOUT_AFTER) return HARD_LOCKOUT_MS;
+  if (failures < FREE_ATTEMPTS) return 0;
+  return BASE_COOLDOWN_MS * 2 ** (failures - FREE_ATTEMPTS);
+}
+
+// The admin password, or a password matching every required credential (see getCredentials)
+async function verifyUnlockPassword(password, credentials) {
+  const now = Date.now();
+  const attempts = await getUnlockAttempts();
+  if (attempts.lockedUntil > now) {
+    return { ok: false, lockedUntil: attempts.lockedUntil };
+  }
+
+  const { adminHash, required } = credentials;
+  if (!hasCredential(credentials)) return { ok: false, error: "no-password" };
+
+  const normalized = (password || "").trim();
+  let ok = false;
+  let needsUpgrade = false;
+  if (adminHash) ok = (await SiteBlockerPassword.verifyPassword(normalized, adminHash)).ok;
+  if (!ok && required.length && required.every((c) => c.hash)) {
+    ok = true;
+    for (const c of required) {
+      const result = await SiteBlockerPassword.verifyPassword(normalized, c.hash);
+      if (!result.ok) {
+        ok = false;
+        break;
+      }
+      // Only the master password can be a legacy hash
+      if (c.master && result.needsUpgrade) needsUpgrade = true;
+    }
+  }
+
+  if (ok) {
+    if (needsUpgrade) {
+      await storageSet("local", { masterHash: await SiteBlockerPassword.hashPassword(normalized) });
+    }
+    await storageSet("local", { unlockAttempts: { failures: 0, lockedUntil: 0 } });
+    return { ok: true };
+  }
+
+  const failures = attempts.failures + 1;
+  const cooldown = cooldownAfter(failures);
+  const lockedUntil = cooldown ? now + cooldown : 0;
+  // After a hard lockout the counter starts over
+  await storageSet("local", {
+    unlockAttempts: { failures: failures >= HARD_LOCKOUT_AFTER ? 0 : failures, lockedUntil }
+  });
+  return { ok: false, lockedUntil, attemptsLeft: Math.max(0, HARD_LOCKOUT_AFTER - failures) };
+}
+
+// Attempts from several tabs are processed one at a time so the counter cannot be raced
+let attemptQueue = Promise.resolve();
+
+// url: the blocked page being unlocked, if any; role "admin" only accepts the admin password
+function queueUnlockAttempt(password, url = "", role = "unlock") {
+  const result = attemptQueue.then(async () => {
+    const outcome = await verifyUnlockPassword(password, await getCredentials(url, role));
+    // A wrong password; attempts refused during a lockout are not checked at all
+    if ("attemptsLeft" in outcome) {
+      logActivity({ type: "failed", host: getHost(url), lockedUntil: outcome.lockedUntil });
+    }
+    return outcome;
+  });
+  attemptQueue = result.catch(() => {});
+  return result;
+}
+
+// -------- Schedules --------
 
-  const blockedSites = await getBlockedSites();
-  if (!blockedSites.length) return;
+const SCHEDULE_ALARM = "schedule-boundary";
 
+// Earliest upcoming start/end (ms) across all scheduled entries, or null
+function nextScheduleBoundary(entries, now) {
+  let next = null;
+  for (const entry of entries) {
+    const { scheduleText } = SiteBlockerSchedule.splitEntry(entry);
+    if (!scheduleText) continue;
+    const { windows } = SiteBlockerSchedule.parseSchedule(scheduleText);
+    const t = SiteBlockerSchedule.nextBoundary(windows, now);
+    if (t !== null && (next === null || t < next)) next = t;
+  }
+  return next;
+}
+
+// Arms a single alarm for the earliest upcoming start/end across all scheduled entries
+async function scheduleNextBoundary() {
+  const next = nextScheduleBoundary(await getBlockedSites(), new Date());
+
+  await chrome.alarms.clear(SCHEDULE_ALARM);
+  if (next !== null) {
+    chrome.alarms.create(SCHEDULE_ALARM, { when: next });
+  }
+}
+
+async function checkAllTabs() {
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    if (tab.id != null && tab.url) checkAndBlockTab(tab.id, tab.url);
+  }
+}
+
+// -------- Daily time budgets --------
+
+// Credits the time since the last flush to every budget matching the tracked page
+async function flushBudgetTime(now = Date.now()) {
+  const { budgetTracking } = await storageGet("session", { budgetTracking: null });
+  if (!budgetTracking) return;
+  await storageSet("session", { budgetTracking: { ...budgetTracking, since: now } });
+
+  const elapsed = Math.min(MAX_BUDGET_FLUSH_MS, Math.max(0, now - budgetTracking.since));
+  const seconds = Math.round(elapsed / 1000);
+  if (!seconds) return;
+
+  const { rules, usage } = await getEnforcedRules(new Date(now));
+  const matched = SiteBlockerBudget.budgetsForUrl(budgetTracking.url, rules);
+  if (!matched.length) return;
+  for (const b of matched) {
+    usage.used[b.pattern] = (usage.used[b.pattern] || 0) + seconds;
+  }
+  await storageSet("local", { budgetUsage: usage });
+}
+
+async function getFocusedActiveTab() {
+  try {
+    const win = await chrome.windows.getLastFocused({ populate: true });
+    if (!win || !win.focused || !win.tabs) return null;
+    return win.tabs.find((t) => t.active) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Flushes counted time, then starts tracking the focused active tab if it matches a budget.
+ * While tracking, a one-shot alarm fires after a minute or when the allowance runs out,
+ * whichever is sooner; at that point the tab is blocked if the budget is used up.
+ */
+async function refreshBudgetTracking() {
+  await flushBudgetTime();
+
+  const { rules } = await getEnforcedRules();
+  const tab = rules.budgets.length ? await getFocusedActiveTab() : null;
+  const matched = tab && tab.url ? SiteBlockerBudget.budgetsForUrl(tab.url, rules) : [];
+  const counting = matched.filter((b) => b.remaining > 0);
+
+  await chrome.alarms.clear(BUDGET_TICK_ALARM);
+  if (!counting.length || isUnlocked(tab.id, getHost(tab.url))) {
+    await storageSet("session", { budgetTracking: null });
+  } else {
+    await storageSet("session", { budgetTracking: { tabId: tab.id, url: tab.url, since: Date.now() } });
+    const nextCheck = Math.min(60, ...counting.map((b) => b.remaining));
+    chrome.alarms.create(BUDGET_TICK_ALARM, { when: Date.now() + nextCheck * 1000 });
+  }
+
+  if (matched.length > counting.length) {
+    await syncEnforcement();
+    checkAndBlockTab(tab.id, tab.url);
+  }
+}
+
+// Tracking events can arrive in bursts; process them one at a time so time is not counted twice
+let budgetQueue = Promise.resolve();
+
+function queueBudgetRefresh() {
+  budgetQueue = budgetQueue.then(refreshBudgetTracking).catch((err) => console.error("Budget tracking failed:", err));
+  return budgetQueue;
+}
+
+async function scheduleBudgetReset() {
+  const { resetHour } = await getBudgetSettings();
+  chrome.alarms.create(BUDGET_RESET_ALARM, { when: SiteBlockerBudget.nextReset(new Date(), resetHour) });
+}
+
+// Password accepted on an exhausted budget: add the extra allowance to each used-up budget matching url.
+// -> the minutes granted
+async function grantBudgetExtra(url) {
+  await flushBudgetTime();
+  const { rules, usage } = await getEnforcedRules();
+  const { extraMinutes } = await getBudgetSettings();
+  for (const b of SiteBlockerBudget.budgetsForUrl(url, rules)) {
+    if (b.remaining > 0) continue;
+    // Top up from what is actually left, so the grant is never swallowed by overtime
+    usage.extra[b.pattern] = (usage.extra[b.pattern] || 0) - b.remaining + extraMinutes * 60;
+  }
+  await storageSet("local", { budgetUsage: usage });
+  await syncEnforcement();
+  queueBudgetRefresh();
+  return extraMinutes;
+}
+
+// -------- Focus sessions --------
+
+async function updateFocusBadge() {
+  const focus = await getFocusSession();
+  let text = "";
+  if (focus) {
+    const minutes = Math.ceil((focus.endsAt - Date.now()) / 60000);
+    text = minutes < 100 ? `${minutes}m` : `${Math.round(minutes / 60)}h`;
+    await chrome.action.setBadgeBackgroundColor({ color: FOCUS_BADGE_COLOR });
+  }
+  await chrome.action.setBadgeText({ text });
+}
+
+function sendFocusEnded(tabId) {
+  try {
+    chrome.tabs.sendMessage(tabId, { type: "FOCUS_ENDED" }, () => void chrome.runtime.lastError);
+  } catch {
+    // ignore
+  }
+}
+
+async function startFocusSession(minutes) {
+  if (await getFocusSession()) return { ok: false, error: "running" };
+  await unlocksRestored;
+
+  const startedAt = Date.now();
+  const focusSession = { startedAt, endsAt: startedAt + minutes * 60 * 1000 };
+  await storageSet("local", { focusSession });
+  chrome.alarms.create(FOCUS_END_ALARM, { when: focusSession.endsAt });
+  chrome.alarms.create(FOCUS_TICK_ALARM, { periodInMinutes: 1 });
+
+  // No unlocks survive into the session
+  for (const tabId of Array.from(unlockedHostsByTab.keys())) clearTabState(tabId);
+
+  await syncEnforcement();
+  await updateFocusBadge();
+  checkAllTabs();
+  return { ok: true, endsAt: focusSession.endsAt };
+}
+
+async function endFocusSession() {
+  await storageSet("local", { focusSession: null });
+  await Promise.all([chrome.alarms.clear(FOCUS_END_ALARM), chrome.alarms.clear(FOCUS_TICK_ALARM)]);
+  await updateFocusBadge();
+  await syncEnforcement();
+
+  // Take the focus overlays down first; tabs still on the blocked list get the normal overlay back
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    if (tab.id != null) sendFocusEnded(tab.id);
+  }
+  checkAllTabs();
+}
+
+// After a browser restart: end a session that ran out meanwhile, otherwise re-arm its alarms
+async function restoreFocusSession() {
+  const { focusSession } = await storageGet("local", { focusSession: null });
+  if (!focusSession) {
+    await updateFocusBadge();
+    return;
+  }
+  if (!(await getFocusSession())) {
+    await endFocusSession();
+    return;
+  }
+  chrome.alarms.create(FOCUS_END_ALARM, { when: focusSession.endsAt });
+  chrome.alarms.create(FOCUS_TICK_ALARM, { periodInMinutes: 1 });
+  await updateFocusBadge();
+}
+
+// -------- Subscriptions --------
+
+/**
+ * Downloads one subscribed list and returns its new cache record. A 304 answer to the conditional request
+ * keeps the cached entries; a failed download keeps them too, with the error recorded.
+ */
+async function fetchSubscription(subscription, cached, now = Date.now()) {
+  const previous = cached && cached.url === subscription.url ? cached : null;
+  const headers = {};
+  if (previous && previous.etag) headers["If-None-Match"] = previous.etag;
+  if (previous && previous.lastModified) headers["If-Modified-Since"] = previous.lastModified;
+
+  try {
+    const res = await fetch(subscription.url, { headers, cache: "no-store", credentials: "omit" });
+    if (res.status === 304 && previous) return { ...previous, checkedAt: now, error: null };
+    if (!res.ok) throw new Error(`The server answered ${res.status}${res.statusText ? ` ${res.statusText}` : ""}.`);
+
+    const parsed = SiteBlockerSubscriptions.parseListText(await res.text(), subscription.url);
+    if (!parsed.entries.length) throw new Error("The list has no entries that can be used here.");
+    return {
+      url: subscription.url,
+      format: parsed.format,
+      entries: parsed.entries,
+      rejected: parsed.rejected,
+      etag: res.headers.get("ETag") || "",
+      lastModified: res.headers.get("Last-Modified") || "",
+      updatedAt: now,
+      checkedAt: now,
+      error: null
+    };
+  } catch (err) {
+    return {
+      url: subscription.url,
+      format: previous ? previous.format : "",
+      entries: previous ? previous.entries : [],
+      rejected: previous ? previous.rejected : 0,
+      etag: previous ? previous.etag : "",
+      lastModified: previous ? previous.lastModified : "",
+      updatedAt: previous ? previous.updatedAt : 0,
+      checkedAt: now,
+      error: err.message || "Download failed."
+    };
+  }
+}
+
+// Downloads the lists that are due (all of them with force) and drops the cache of removed ones.
+// storage.onChanged then updates the rules.
+async function refreshSubscriptions(force = false) {
+  const now = Date.now();
+  const subscriptions = await getSubscriptions();
+  const cache = await getSubscriptionCache();
+  const next = {};
+  let changed = Object.keys(cache).some((id) => !subscriptions.some((s) => s.id === id));
+
+  for (const subscription of subscriptions) {
+    const cached = cache[subscription.id];
+    if (force || SiteBlockerSubscriptions.isDue(subscription, cached, now)) {
+      next[subscription.id] = await fetchSubscription(subscription, cached, now);
+      changed = true;
+    } else {
+      next[subscription.id] = cached;
+    }
+  }
+  if (changed) await storageSet("local", { subscriptionCache: next });
+  return next;
+}
+
+let subscriptionQueue = Promise.resolve();
+
+// One refresh at a time, so a slow download cannot overwrite the result of a later one
+function queueSubscriptionRefresh(force = false) {
+  const run = subscriptionQueue.then(() => refreshSubscriptions(force));
+  subscriptionQueue = run.catch((err) => console.error("Refreshing the subscribed lists failed:", err));
+  return run;
+}
+
+// Creating the alarm again would push it back, so only when it is missing
+async function scheduleSubscriptionRefresh() {
+  const existing = await chrome.alarms.get(SUBSCRIPTION_ALARM);
+  if (!existing) chrome.alarms.create(SUBSCRIPTION_ALARM, { periodInMinutes: SUBSCRIPTION_CHECK_MINUTES });
+}
+
+// -------- Commitment mode --------
+
+async function getPendingChanges() {
+  const { pendingChanges } = await storageGet("local", { pendingChanges: [] });
+  return Array.isArray(pendingChanges) ? pendingChanges : [];
+}
+
+async function schedulePendingChanges() {
+  const pending = await getPendingChanges();
+  await chrome.alarms.clear(PENDING_CHANGE_ALARM);
+  if (pending.length) {
+    chrome.alarms.create(PENDING_CHANGE_ALARM, { when: Math.min(...pending.map((c) => c.applyAt)) });
+  }
+}
+
+// Applies every pending change that is due, oldest first, then re-arms the alarm for the rest
+async function applyDueChanges() {
+  const now = Date.now();
+  const pending = await getPendingChanges();
+  const due = pending.filter((c) => c.applyAt <= now).sort((a, b) => a.applyAt - b.applyAt);
+
+  if (due.length) {
+    const area = await getBlockedStorageArea();
+    const { masterHash, adminHash, groupUnlockHashes, commitmentDelayHours } = await storageGet("local", {
+      masterHash: "",
+      adminHash: "",
+      groupUnlockHashes: {},
+      commitmentDelayHours: 0
+    });
+    let data = {
+      groups: await getBlockedGroups(),
+      focusSites: await getFocusSites(),
+      subscriptions: await getSubscriptions(),
+      keywordRules: await getKeywordRules(),
+      masterHash,
+      adminHash,
+      groupHashes: groupUnlockHashes || {},
+      commitmentDelayHours
+    };
+    for (const change of due) data = SiteBlockerCommitment.applyChange(data, change);
+
+    await storageSet(area, {
+      blockedGroups: data.groups,
+      focusSites: data.focusSites,
+      subscriptions: data.subscriptions,
+      keywordRules: data.keywordRules
+    });
+    await storageSet("local", {
+      masterHash: data.masterHash,
+      adminHash: data.adminHash,
+      groupUnlockHashes: data.groupHashes,
+      commitmentDelayHours: data.commitmentDelayHours,
+      pendingChanges: pending.filter((c) => c.applyAt > now)
+    });
+  }
+  await schedulePendingChanges();
+}
+
+// -------- Activity log --------
+
+// Tab events report the same page several times; a block of the same page in the same tab within this
+// window is logged once
+const BLOCK_LOG_INTERVAL_MS = 30 * 1000;
+const UNLOCK_METHODS = ["password", "challenge", "warn"];
+
+// "<tabId>:<url>" -> when its block was last logged
+const recentBlocks = new Map();
+let activityQueue = Promise.resolve();
+
+// Appends one event to "activityLog"; writes go one at a time so events from several tabs are all kept
+function logActivity(event) {
+  const entry = { at: Date.now(), ...event };
+  activityQueue = activityQueue
+    .then(async () => {
+      const { activityLog, activityRetentionDays } = await storageGet("local", {
+        activityLog: [],
+        activityRetentionDays: SiteBlockerActivity.DEFAULT_RETENTION_DAYS
+      });
+      await storageSet("local", {
+        activityLog: SiteBlockerActivity.append(activityLog, entry, activityRetentionDays, entry.at)
+      });
+    })
+    .catch((err) => console.error("Writing the activity log failed:", err));
+}
+
+// verdict: { budget, focus, action } as from getTabVerdict; cause overrides what is read from it
+function logBlock(tabId, url, verdict, cause = "") {
   const host = getHost(url);
   if (!host) return;
+  const now = Date.now();
+  const key = `${tabId}:${url}`;
+  if (now - (recentBlocks.get(key) || 0) < BLOCK_LOG_INTERVAL_MS) return;
+  for (const [k, at] of recentBlocks) {
+    if (now - at >= BLOCK_LOG_INTERVAL_MS) recentBlocks.delete(k);
+  }
+  recentBlocks.set(key, now);
+  if (!cause) cause = verdict.budget ? "budget" : verdict.focus ? "focus" : "entry";
+  logActivity({ type: "block", host, action: verdict.action.type, cause });
+}
 
-  if (isUnlocked(tabId, host)) return;
+// With "unlockReasonRequired" on, the reason given (trimmed and shortened), or null when there is none
+async function unlockReason(reason) {
+  const { unlockReasonRequired } = await storageGet("local", { unlockReasonRequired: false });
+  const text = String(reason || "").trim().slice(0, SiteBlockerActivity.MAX_REASON_LENGTH);
+  return unlockReasonRequired && !text ? null : text;
+}
 
-  if (isUrlBlocked(url, blockedSites)) {
-    sendBlockMessage(tabId, url);
+// -------- Toolbar popup --------
+
+/**
+ * Status of a tab for the popup:
+ *  - "blocked":  an active entry blocks the URL
+ *  - "unlocked": blocked, but the host was unlocked in this tab (expiresAt 0 = until the tab closes)
+ *  - "allowed":  entries match, but none blocks right now (exception, schedule, budget time left)
+ *  - "unlisted": no entry matches
+ *  - "unsupported": not a web page
+ * matches lists every matching entry of the enabled groups and subscribed lists, with its group name
+ * (whether or not its schedule is active; focus-list entries only during a focus session) and budgets the
+ * active time budgets that apply. action ({ type, label }, when blocked) is what the blocking entries do.
+ */
+async function getTabStatus(tabId, url) {
+  const host = getHost(url);
+  if (!host || !/^https?:/i.test(url)) return { status: "unsupported" };
+  await unlocksRestored;
+
+  const { rules, focus } = await getEnforcedRules();
+  const sources = [];
+  for (const group of await getBlockedGroups()) {
+    if (group.enabled) sources.push(...group.sites.map((entry) => ({ entry, group: group.name })));
+  }
+  const cache = await getSubscriptionCache();
+  for (const subscription of await getSubscriptions()) {
+    const cached = cache[subscription.id];
+    if (!cached || cached.url !== subscription.url) continue;
+    const group = `subscribed list ${SiteBlockerSubscriptions.label(subscription)}`;
+    sources.push(...cached.entries.map((entry) => ({ entry, group })));
+  }
+  if (focus) sources.push(...(await getFocusSites()).map((entry) => ({ entry, group: "", focus: true })));
+  const patterns = sources.map((s) => SiteBlockerBudget.splitBudget(SiteBlockerSchedule.splitEntry(s.entry).pattern).pattern);
+  const matches = SiteBlockerMatch.explainUrl(url, patterns).matches.map((m) => ({
+    entry: sources[m.index].entry,
+    group: sources[m.index].group,
+    exception: m.exception,
+    type: m.type,
+    focus: Boolean(sources[m.index].focus)
+  }));
+  const budgets = SiteBlockerBudget.budgetsForUrl(url, rules).map((b) => ({
+    pattern: b.pattern,
+    minutes: b.minutes,
+    usedSeconds: b.used
+  }));
+
+  let status = matches.length ? "allowed" : "unlisted";
+  let expiresAt = 0;
+  let action = null;
+  const verdict = getBlockVerdict(url, rules, focus);
+  if (verdict) {
+    if (!focus && UNLOCKABLE_ACTIONS.includes(verdict.action.type) && isUnlocked(tabId, host)) {
+      status = "unlocked";
+      expiresAt = unlockedHostsByTab.get(tabId).get(host);
+    } else {
+      status = "blocked";
+      action = { type: verdict.action.type, label: SiteBlockerMatch.describeAction(verdict.action) };
+    }
+  }
+  return { status, host, matches, budgets, expiresAt, action, focus: Boolean(focus) };
+}
+
+/**
+ * Appends entry to the first enabled group (a new "Default" group if none is enabled) unless an enabled
+ * group already has it. storage.onChanged updates the network rules.
+ */
+async function addBlockedEntry(entry) {
+  const area = await getBlockedStorageArea();
+  const groups = await getBlockedGroups();
+  const enabled = groups.filter((g) => g.enabled);
+  if (enabled.some((g) => g.sites.some((s) => s.toLowerCase() === entry.toLowerCase()))) return { added: false };
+
+  let target = enabled[0];
+  if (!target) {
+    target = SiteBlockerGroups.createGroup(SiteBlockerGroups.DEFAULT_GROUP_NAME);
+    groups.push(target);
+  }
+  target.sites.push(entry);
+
+  await new Promise((resolve, reject) => {
+    chrome.storage[area].set({ blockedGroups: groups }, () => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve();
+    });
+  });
+  return { added: true, group: target.name };
+}
+
+// Ends every unlock of the tab now instead of waiting for it to expire
+async function relockTabNow(tabId) {
+  await unlocksRestored;
+  const hosts = unlockedHostsByTab.get(tabId);
+  if (!hosts) return;
+  for (const host of Array.from(hosts.keys())) {
+    chrome.alarms.clear(relockAlarmName(tabId, host));
+    await relockTab(tabId, host);
   }
 }
 
@@ -127,6 +1260,7 @@ async function checkAndBlockTab(tabId, url) {
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.url) {
     checkAndBlockTab(tabId, changeInfo.url);
+    if (tab && tab.active) queueBudgetRefresh();
   } else if (changeInfo.status === "loading" || changeInfo.status === "complete") {
     if (tab && tab.url) checkAndBlockTab(tabId, tab.url);
   }
@@ -134,20 +1268,346 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 
 chrome.tabs.onRemoved.addListener((tabId) => {
   clearTabState(tabId);
+  queueBudgetRefresh();
+});
+
+chrome.tabs.onActivated.addListener(() => queueBudgetRefresh());
+chrome.windows.onFocusChanged.addListener(() => queueBudgetRefresh());
+
+// -------- Alarms & lifecycle --------
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) {
+    syncEnforcement().then(checkAllTabs);
+    scheduleNextBoundary();
+  } else if (alarm.name === PENDING_CHANGE_ALARM) {
+    applyDueChanges();
+  } else if (alarm.name === SUBSCRIPTION_ALARM) {
+    queueSubscriptionRefresh();
+  } else if (alarm.name === FOCUS_END_ALARM) {
+    endFocusSession();
+  } else if (alarm.name === FOCUS_TICK_ALARM) {
+    updateFocusBadge();
+  } else if (alarm.name === BUDGET_TICK_ALARM) {
+    queueBudgetRefresh();
+  } else if (alarm.name === BUDGET_RESET_ALARM) {
+    syncEnforcement();
+    queueBudgetRefresh();
+    scheduleBudgetReset();
+  } else if (alarm.name.startsWith(RELOCK_ALARM_PREFIX)) {
+    const target = parseRelockAlarm(alarm.name);
+    if (target) relockTab(target.tabId, target.host);
+  }
+});
+
+chrome.runtime.onInstalled.addListener(async () => {
+  await migrateBlockedSites();
+  applyDueChanges();
+  scheduleNextBoundary();
+  scheduleBudgetReset();
+  restoreFocusSession();
+  scheduleSubscriptionRefresh();
+  queueSubscriptionRefresh();
+  syncEnforcement();
+});
+chrome.runtime.onStartup.addListener(async () => {
+  await migrateBlockedSites();
+  applyDueChanges();
+  scheduleNextBoundary();
+  scheduleBudgetReset();
+  restoreFocusSession();
+  scheduleSubscriptionRefresh();
+  queueSubscriptionRefresh();
+  syncEnforcement();
+});
+
+chrome.storage.onChanged.addListener((changes) => {
+  if (
+    changes.blockedGroups ||
+    changes.blockedSites ||
+    changes.blockedStorage ||
+    changes.focusSites ||
+    changes.focusSession ||
+    changes.subscriptions ||
+    changes.subscriptionCache ||
+    changes.budgetUsage ||
+    changes.budgetResetHour
+  ) {
+    invalidateCompiledRules();
+  }
+  if (changes.blockedGroups || changes.blockedSites || changes.blockedStorage) {
+    scheduleNextBoundary();
+    queueBudgetRefresh();
+  }
+  if (
+    changes.blockedGroups ||
+    changes.blockedSites ||
+    changes.blockedStorage ||
+    changes.enforcementMode ||
+    changes.budgetResetHour ||
+    changes.focusSites ||
+    changes.subscriptions ||
+    changes.subscriptionCache ||
+    changes.keywordRules
+  ) {
+    syncEnforcement();
+  }
+  if (changes.subscriptions || changes.blockedStorage) {
+    // New subscriptions are downloaded straight away
+    queueSubscriptionRefresh();
+  }
+  if (changes.budgetResetHour) {
+    scheduleBudgetReset();
+  }
+  if (changes.pendingChanges) {
+    schedulePendingChanges();
+  }
+  const settingsChange = SiteBlockerActivity.settingsEvent(changes);
+  if (settingsChange) logActivity(settingsChange);
 });
 
 // -------- Messages --------
 
-chrome.runtime.onMessage.addListener((msg, sender) => {
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (!msg || !msg.type) return;
 
   if (msg.type === "UNLOCK_TAB") {
     const tabId = sender && sender.tab ? sender.tab.id : null;
     if (tabId && msg.host) {
-      markUnlocked(tabId, msg.host);
+      getFocusSession().then(async (focus) => {
+        if (focus) {
+          sendResponse({ ok: false, error: "focus" });
+          return;
+        }
+        // Hard blocks (and redirect and close entries) have no unlock; the allow rule would get past them
+        if (msg.url && !(await canUnlock(msg.url))) {
+          sendResponse({ ok: false, error: "hard" });
+          return;
+        }
+        const reason = await unlockReason(msg.reason);
+        if (reason === null) {
+          sendResponse({ ok: false, error: "reason" });
+          return;
+        }
+        const expiresAt = await capUnlockExpiry(Number(msg.expiresAt) || 0);
+        // Respond once the allow rule exists, so the lock page can navigate straight through
+        await markUnlocked(tabId, msg.host, expiresAt);
+        sendResponse({ ok: true });
+        logActivity({
+          type: "unlock",
+          host: msg.host,
+          method: UNLOCK_METHODS.includes(msg.method) ? msg.method : "password",
+          minutes: expiresAt ? Math.max(1, Math.round((expiresAt - Date.now()) / 60000)) : null,
+          reason
+        });
+      });
+      return true; // async response
     }
   }
 
+  if (msg.type === "CHECK_URL") {
+    // Content script: a page or frame that has just loaded, or a single-page-app navigation
+    const tabId = sender && sender.tab ? sender.tab.id : null;
+    if (tabId == null || !msg.url) return;
+    (async () => {
+      const verdict = await getTabVerdict(tabId, msg.url);
+      if (!verdict) return { blocked: false };
+      logBlock(tabId, msg.url, verdict);
+      // A blocked top frame is redirected or closed, or goes to the lock page in network mode
+      if (sender.frameId === 0 && (await leavePage(tabId, msg.url, verdict.action))) {
+        return { blocked: true, redirecting: true };
+      }
+      // An embedded frame does not get to navigate or close the tab
+      const action = OVERLAY_ACTIONS.includes(verdict.action.type) ? verdict.action.type : "lock";
+      const challenge = action === "challenge" ? verdict.action.challenge : null;
+      return { blocked: true, budget: verdict.budget, focus: verdict.focus, action, challenge };
+    })()
+      .then(sendResponse)
+      .catch((err) => {
+        console.error("URL check failed:", err);
+        sendResponse({ blocked: false });
+      });
+    return true; // async response
+  }
+
+  if (msg.type === "KEYWORD_BLOCK") {
+    // Content script found a keyword rule's keyword on its page; overlay mode only, since the page has loaded
+    const tabId = sender && sender.tab ? sender.tab.id : null;
+    const host = getHost(msg.url || "");
+    if (tabId == null || !host) return;
+    (async () => {
+      await unlocksRestored;
+      const focus = await getFocusSession();
+      // Unlocks do not count during a focus session
+      if (!focus && isUnlocked(tabId, host)) return { blocked: false };
+      logBlock(tabId, msg.url, { budget: null, focus, action: { type: "lock" } }, "keyword");
+      return { blocked: true, budget: null, focus: focus && { endsAt: focus.endsAt }, action: "lock" };
+    })()
+      .then(sendResponse)
+      .catch((err) => {
+        console.error("Keyword check failed:", err);
+        sendResponse({ blocked: false });
+      });
+    return true; // async response
+  }
+
+  if (msg.type === "GET_BLOCK_STATUS") {
+    // Lock page: is a focus session running, is this URL blocked because a time budget ran out, and what
+    // does its entry do?
+    Promise.all([getEnforcedRules(), getBudgetSettings()]).then(([{ rules, focus }, { extraMinutes }]) => {
+      const verdict = getBlockVerdict(msg.url, rules, focus);
+      // Network mode sends blocked pages here without asking this worker first
+      if (verdict && sender.tab) logBlock(sender.tab.id, msg.url, { ...verdict, focus });
+      sendResponse({
+        budget: verdict && verdict.budget ? { ...verdict.budget, extraMinutes } : null,
+        focus: focus ? { endsAt: focus.endsAt } : null,
+        action: verdict ? verdict.action : { type: "lock" }
+      });
+    });
+    return true; // async response
+  }
+
+  if (msg.type === "CLOSE_TAB") {
+    // Lock page, for a "close" entry in network mode (the rule engine can only redirect)
+    const tabId = sender && sender.tab ? sender.tab.id : null;
+    if (tabId != null && sender.url && sender.url.startsWith(chrome.runtime.getURL(LOCK_PAGE))) {
+      chrome.tabs.remove(tabId, () => void chrome.runtime.lastError);
+    }
+    return;
+  }
+
+  if (msg.type === "GRANT_BUDGET_EXTRA") {
+    getFocusSession()
+      .then(async (focus) => {
+        if (focus) return { ok: false, error: "focus" };
+        const reason = await unlockReason(msg.reason);
+        if (reason === null) return { ok: false, error: "reason" };
+        const minutes = await grantBudgetExtra(msg.url);
+        logActivity({ type: "unlock", host: getHost(msg.url || ""), method: "budget", minutes, reason });
+        return { ok: true };
+      })
+      .then(sendResponse)
+      .catch((err) => {
+        console.error("Granting extra time failed:", err);
+        sendResponse({ ok: false });
+      });
+    return true; // async response
+  }
+
+  if (msg.type === "VERIFY_PASSWORD") {
+    queueUnlockAttempt(msg.password, msg.url || "")
+      .then(sendResponse)
+      .catch((err) => {
+        console.error("Password check failed:", err);
+        sendResponse({ ok: false, error: "unexpected" });
+      });
+    return true; // async response
+  }
+
+  if (msg.type === "VERIFY_ADMIN") {
+    // Options page sign-in; same attempt counter and lockouts as unlocking
+    queueUnlockAttempt(msg.password, "", "admin")
+      .then(sendResponse)
+      .catch((err) => {
+        console.error("Admin password check failed:", err);
+        sendResponse({ ok: false, error: "unexpected" });
+      });
+    return true; // async response
+  }
+
+  if (msg.type === "GET_UNLOCK_CREDENTIAL") {
+    getCredentials(msg.url || "")
+      .then((credentials) => sendResponse({ hasPassword: hasCredential(credentials), label: credentialLabel(credentials) }))
+      .catch((err) => {
+        console.error("Credential lookup failed:", err);
+        sendResponse({ hasPassword: false, label: "the master password" });
+      });
+    return true; // async response
+  }
+
+  if (msg.type === "GET_LOCKOUT") {
+    getUnlockAttempts().then((attempts) => {
+      sendResponse({ lockedUntil: attempts.lockedUntil > Date.now() ? attempts.lockedUntil : 0 });
+    });
+    return true; // async response
+  }
+
+  if (msg.type === "GET_FOCUS_SESSION") {
+    getFocusSession().then((focus) => sendResponse({ focus }));
+    return true; // async response
+  }
+
+  if (msg.type === "START_FOCUS_SESSION") {
+    const minutes = Number(msg.minutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_FOCUS_MINUTES) {
+      sendResponse({ ok: false, error: "invalid" });
+      return;
+    }
+    startFocusSession(minutes)
+      .then(sendResponse)
+      .catch((err) => {
+        console.error("Starting the focus session failed:", err);
+        sendResponse({ ok: false, error: "unexpected" });
+      });
+    return true; // async response
+  }
+
+  if (msg.type === "END_FOCUS_SESSION") {
+    // Same attempt counter and lockouts as unlocking
+    queueUnlockAttempt(msg.password)
+      .then(async (result) => {
+        if (result.ok) await endFocusSession();
+        sendResponse(result);
+      })
+      .catch((err) => {
+        console.error("Ending the focus session failed:", err);
+        sendResponse({ ok: false, error: "unexpected" });
+      });
+    return true; // async response
+  }
+
+  if (msg.type === "GET_TAB_STATUS") {
+    getTabStatus(msg.tabId, msg.url)
+      .then(sendResponse)
+      .catch((err) => {
+        console.error("Tab status failed:", err);
+        sendResponse({ status: "error" });
+      });
+    return true; // async response
+  }
+
+  if (msg.type === "BLOCK_ENTRY") {
+    const entry = (msg.entry || "").trim();
+    // Only ever adds blocking; an exception would unblock without the password
+    if (!entry || entry.startsWith("!") || SiteBlockerMatch.validatePattern(entry)) {
+      sendResponse({ added: false, error: "invalid" });
+      return;
+    }
+    addBlockedEntry(entry)
+      .then((result) => {
+        if (msg.tabId != null && msg.url) checkAndBlockTab(msg.tabId, msg.url);
+        sendResponse(result);
+      })
+      .catch((err) => {
+        console.error("Adding to the blocked list failed:", err);
+        sendResponse({ added: false, error: err.message });
+      });
+    return true; // async response
+  }
+
+  if (msg.type === "REFRESH_SUBSCRIPTIONS") {
+    // Options page "Update now": download every list, whether or not it is due
+    queueSubscriptionRefresh(true)
+      .then((subscriptionCache) => sendResponse({ ok: true, subscriptionCache }))
+      .catch(() => sendResponse({ ok: false }));
+    return true; // async response
+  }
+
+  if (msg.type === "RELOCK_TAB") {
+    relockTabNow(msg.tabId).then(() => sendResponse({ ok: true }));
+    return true; // async response
+  }
+
   if (msg.type === "OPEN_OPTIONS") {
     try {
       chrome.runtime.openOptionsPage();
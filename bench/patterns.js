@@ -0,0 +1,94 @@
+"use strict";
+
+/**
+ * Benchmark: checking URLs against a large block list with SiteBlockerMatch.explainUrl (parses and
+ * scans every entry per URL) versus a compiled SiteBlockerPatternIndex (lib/pattern-index.js).
+ * Also checks that both give the same matches for every URL, and exits with status 1 if they differ.
+ *
+ * Usage: node bench/patterns.js [entries=2000] [urls=2000]
+ */
+
+const path = require("path");
+
+require(path.join(__dirname, "../lib/matcher.js"));
+require(path.join(__dirname, "../lib/pattern-index.js"));
+
+const entryCount = Number(process.argv[2]) || 2000;
+const urlCount = Number(process.argv[3]) || 2000;
+
+// Small seeded generator, so runs are comparable
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+function pick(list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+const WORDS = ["news", "video", "shop", "social", "game", "chat", "forum", "blog", "mail", "play", "stream", "daily"];
+const TLDS = ["com", "net", "org", "io", "co.uk", "de"];
+
+function domain(i) {
+  return `${pick(WORDS)}${i}.${pick(TLDS)}`;
+}
+
+// Roughly the mix of an imported list: mostly domains, some of every other kind
+function makeEntries(count) {
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const r = random();
+    if (r < 0.7) entries.push(domain(i));
+    else if (r < 0.78) entries.push(`*.${domain(i)}`);
+    else if (r < 0.84) entries.push(`=www.${domain(i)}`);
+    else if (r < 0.92) entries.push(`https://${domain(i)}/${pick(WORDS)}`);
+    else if (r < 0.96) entries.push(`${domain(i)}/${pick(WORDS)}`);
+    else if (r < 0.98) entries.push(`!${pick(WORDS)}.${domain(i)}`);
+    else entries.push(`/${pick(WORDS)}${i}\\.[a-z]+\\/watch/`);
+  }
+  return entries;
+}
+
+function makeUrls(count, entries) {
+  const urls = [];
+  for (let i = 0; i < count; i++) {
+    const r = random();
+    const sub = random() < 0.5 ? "www." : `${pick(WORDS)}.`;
+    if (r < 0.5) {
+      // Host taken from the list (hits, subdomains and near misses)
+      const host = pick(entries).replace(/^[!=]|^\*\.|^https?:\/\/|\/.*$/g, "");
+      urls.push(`https://${sub}${host}/${pick(WORDS)}?q=${i}`);
+    } else {
+      urls.push(`https://${sub}${pick(WORDS)}${Math.floor(random() * entryCount * 2)}.${pick(TLDS)}/${pick(WORDS)}`);
+    }
+  }
+  return urls;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+const entries = makeEntries(entryCount);
+const urls = makeUrls(urlCount, entries);
+
+const linear = time(() => urls.map((url) => SiteBlockerMatch.explainUrl(url, entries)));
+const built = time(() => SiteBlockerPatternIndex.build(entries));
+const indexed = time(() => urls.map((url) => SiteBlockerPatternIndex.explain(built.result, url)));
+
+const mismatches = urls.filter((url, i) => JSON.stringify(linear.result[i]) !== JSON.stringify(indexed.result[i]));
+const blocked = indexed.result.filter((r) => r.blocked).length;
+
+console.log(`${entryCount} entries, ${urlCount} URLs (${blocked} blocked)`);
+console.log(`explainUrl:    ${linear.ms.toFixed(1)} ms total, ${((linear.ms * 1000) / urlCount).toFixed(1)} µs per URL`);
+console.log(`index build:   ${built.ms.toFixed(1)} ms`);
+console.log(`index explain: ${indexed.ms.toFixed(1)} ms total, ${((indexed.ms * 1000) / urlCount).toFixed(1)} µs per URL`);
+console.log(`speed-up:      ${(linear.ms / indexed.ms).toFixed(1)}x per URL`);
+
+if (mismatches.length) {
+  console.error(`${mismatches.length} URLs got different matches, e.g. ${mismatches[0]}`);
+  process.exit(1);
+}
@@ -7,8 +7,24 @@ if (typeof browser === "undefined") {
 
 /**
  * Fullscreen overlay UI.
+ * - Rendered in a closed shadow root (styles from blocker/overlay.css), so page CSS cannot restyle it
+ *   and page scripts cannot reach into it
+ * - A watchdog (MutationObserver) puts the overlay and the "sb-locked" scroll lock back if the page
+ *   removes or hides them while the overlay is up
+ * - Pauses the page's video and audio, and keeps them paused, while the overlay is up
  * Exposes window.SiteBlocker:
- *  - createOverlay({ host, hasPassword, onSubmit(entered, setError), onOpenOptions })
+ *  - createOverlay({ host, hasPassword, durations, defaultDuration, lockedUntil, onSubmit(entered, setError, duration, reason), onOpenOptions })
+ *    variant: "password" (default), "warn" (no password; a "Continue anyway" button that is enabled after
+ *    continueDelay seconds and calls onContinue(setError, reason)), "challenge" (renders `challenge`, an instance
+ *    from blocker/challenges.js, instead of the password field; onSubmit gets an empty password and checks
+ *    the challenge) or "hard" (no way past the overlay)
+ *    durations: [{ value, label }] offered as "Unlock for" choices; omitted when empty
+ *    title, description, unlockLabel: optional text overrides (e.g. for an exhausted time budget)
+ *    confirmText, confirmLabel: when set, the first submit only shows confirmText and relabels the
+ *    button; onSubmit runs on the second (used to end a focus session early)
+ *    askReason: adds a "Why are you unlocking?" field that has to be filled in before onSubmit or onContinue
+ *    run; they get the reason as their last argument ("" without the field)
+ *  - setLockout(untilMs): disables the password form and shows a countdown until untilMs
  *  - removeOverlay()
  *  - isOverlayVisible()
  */
@@ -16,13 +32,166 @@ if (typeof browser === "undefined") {
 (function () {
   const OVERLAY_ID = "sb-overlay-root";
 
+  // Inline !important declarations outrank every page stylesheet
+  const HOST_STYLE = {
+    all: "initial",
+    position: "fixed",
+    inset: "0",
+    "z-index": "2147483647",
+    display: "block",
+    visibility: "visible",
+    opacity: "1",
+    "pointer-events": "auto"
+  };
+
+  let lockoutTimer = null;
+  let continueTimer = null;
+
+  const VARIANT_ICONS = { password: "🔒", warn: "⚠️", challenge: "🧩", hard: "⛔" };
+
+  // While the overlay is up: { hostEl, shadow, hasPassword, style, observer, challenge }
+  let overlay = null;
+
   function isOverlayVisible() {
-    return !!document.getElementById(OVERLAY_ID);
+    return overlay !== null;
+  }
+
+  function $(sel) {
+    return overlay ? overlay.shadow.querySelector(sel) : null;
+  }
+
+  function applyHostStyle(hostEl) {
+    for (const [prop, value] of Object.entries(HOST_STYLE)) {
+      hostEl.style.setProperty(prop, value, "important");
+    }
+  }
+
+  function lockScroll() {
+    if (!document.documentElement.classList.contains("sb-locked")) {
+      document.documentElement.classList.add("sb-locked");
+    }
+    if (document.body && !document.body.classList.contains("sb-locked")) {
+      document.body.classList.add("sb-locked");
+    }
+  }
+
+  // Puts everything back the way createOverlay left it; only touches the DOM when something changed,
+  // so its own mutations do not keep the observer busy
+  function enforceOverlay() {
+    if (!overlay) return;
+    const { hostEl } = overlay;
+    const parent = document.documentElement;
+    if (parent && hostEl.parentNode !== parent) parent.appendChild(hostEl);
+    if (hostEl.hidden) hostEl.hidden = false;
+    if (hostEl.getAttribute("style") !== overlay.style) {
+      hostEl.removeAttribute("style");
+      applyHostStyle(hostEl);
+      overlay.style = hostEl.getAttribute("style");
+    }
+    lockScroll();
+    watch();
+  }
+
+  // (Re)attaches the observer; documentElement and body may be replaced by the page
+  function watch() {
+    const { observer } = overlay;
+    observer.disconnect();
+    observer.observe(document, { childList: true });
+    observer.observe(document.documentElement, { childList: true, attributes: true, attributeFilter: ["class"] });
+    if (document.body) observer.observe(document.body, { attributes: true, attributeFilter: ["class"] });
+    observer.observe(overlay.hostEl, { attributes: true });
+  }
+
+  function pauseMedia() {
+    for (const media of document.querySelectorAll("video, audio")) {
+      try {
+        media.pause();
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  // "play" does not bubble, so listen in the capture phase
+  function handleMediaPlay(e) {
+    if (overlay && e.target && typeof e.target.pause === "function") e.target.pause();
+  }
+
+  // Keep typing in the overlay away from page shortcuts (e.g. "k" toggling playback)
+  function stopEvent(e) {
+    e.stopPropagation();
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+  }
+
+  function formatCountdown(ms) {
+    const total = Math.ceil(ms / 1000);
+    const m = Math.floor(total / 60);
+    const sec = String(total % 60).padStart(2, "0");
+    return `${m}:${sec}`;
+  }
+
+  function setLockout(until) {
+    if (!overlay) return;
+    const input = $("#sb-password");
+    const btn = $("#sb-unlock-btn");
+    const lockoutEl = $("#sb-lockout");
+    const { hasPassword } = overlay;
+
+    clearInterval(lockoutTimer);
+    lockoutTimer = null;
+
+    const tick = () => {
+      const remaining = (Number(until) || 0) - Date.now();
+      const locked = remaining > 0;
+      if (input) input.disabled = locked || !hasPassword;
+      if (btn) btn.disabled = locked || !hasPassword;
+      if (lockoutEl) {
+        lockoutEl.textContent = locked ? `Too many failed attempts. Try again in ${formatCountdown(remaining)}.` : "";
+      }
+      if (!locked) {
+        clearInterval(lockoutTimer);
+        lockoutTimer = null;
+        if (input && hasPassword) input.focus();
+      }
+      return locked;
+    };
+
+    if (tick()) lockoutTimer = setInterval(tick, 1000);
+  }
+
+  // Counts down on the "Continue anyway" button, then enables it
+  function startContinueCountdown(btn, label, seconds) {
+    const until = Date.now() + seconds * 1000;
+    const tick = () => {
+      const remaining = Math.ceil((until - Date.now()) / 1000);
+      btn.disabled = remaining > 0;
+      btn.textContent = remaining > 0 ? `${label} (${remaining})` : label;
+      if (remaining <= 0) {
+        clearInterval(continueTimer);
+        continueTimer = null;
+      }
+    };
+    clearInterval(continueTimer);
+    continueTimer = setInterval(tick, 250);
+    tick();
   }
 
   function removeOverlay() {
-    const root = document.getElementById(OVERLAY_ID);
-    if (root && root.parentNode) root.parentNode.removeChild(root);
+    clearInterval(lockoutTimer);
+    lockoutTimer = null;
+    clearInterval(continueTimer);
+    continueTimer = null;
+    if (overlay) {
+      overlay.observer.disconnect();
+      if (overlay.challenge) overlay.challenge.destroy();
+      const { hostEl } = overlay;
+      if (hostEl.parentNode) hostEl.parentNode.removeChild(hostEl);
+      overlay = null;
+    }
+    document.removeEventListener("play", handleMediaPlay, true);
     document.documentElement.classList.remove("sb-locked");
     if (document.body && document.body.classList) {
       document.body.classList.remove("sb-locked");
@@ -32,38 +201,102 @@ if (typeof browser === "undefined") {
   function createOverlay(options = {}) {
     const {
       host = "",
+      variant = "password",
       hasPassword = true,
+      title = "Site locked",
+      description = "This site is blocked. Enter the master password to continue.",
+      unlockLabel = "Unlock",
+      confirmText = "",
+      confirmLabel = "Confirm",
+      durations = [],
+      defaultDuration = "",
+      lockedUntil = 0,
+      continueDelay = 0,
+      continueLabel = "Continue anyway",
       onSubmit = async () => false,
+      onContinue = async () => false,
+      challenge = null,
+      askReason = false,
       onOpenOptions = () => {}
     } = options;
 
     if (isOverlayVisible()) return;
 
     // Lock page scroll
-    document.documentElement.classList.add("sb-locked");
-    if (document.body && document.body.classList) {
-      document.body.classList.add("sb-locked");
-    }
+    lockScroll();
+
+    const hostEl = document.createElement("div");
+    hostEl.id = OVERLAY_ID;
+    applyHostStyle(hostEl);
+    const shadow = hostEl.attachShadow({ mode: "closed" });
 
+    // The modal stays hidden until its styles have loaded (the host already covers the page)
+    const stylesheet = document.createElement("link");
+    stylesheet.rel = "stylesheet";
+    stylesheet.href = chrome.runtime.getURL("blocker/overlay.css");
     const root = document.createElement("div");
-    root.id = OVERLAY_ID;
     root.className = "sb-overlay";
+    root.hidden = true;
+    const reveal = () => (root.hidden = false);
+    stylesheet.addEventListener("load", reveal);
+    stylesheet.addEventListener("error", reveal);
+    shadow.append(stylesheet, root);
+
+    const durationOptions = durations
+      .map((d) => `<option value="${d.value}" ${d.value === defaultDuration ? "selected" : ""}>${d.label}</option>`)
+      .join("");
+
+    const durationRow = (disabled) =>
+      durations.length
+        ? `
+          <div class="sb-duration-row">
+            <label for="sb-duration" class="sb-duration-label">Unlock for</label>
+            <select id="sb-duration" class="sb-select" ${disabled ? "disabled" : ""}>${durationOptions}</select>
+          </div>`
+        : "";
+
+    let controls = "";
+    if (variant === "password") {
+      controls = `
+          <div class="sb-input-row">
+            <input id="sb-password" type="password" class="sb-input" placeholder="Password" autocomplete="current-password" ${!hasPassword ? "disabled" : ""} />
+            <button id="sb-unlock-btn" class="sb-btn" ${!hasPassword ? "disabled" : ""}>${escapeHtml(unlockLabel)}</button>
+          </div>${durationRow(!hasPassword)}`;
+    } else if (variant === "challenge" && challenge) {
+      controls = `
+          <div id="sb-challenge" class="sb-challenge"></div>
+          <div class="sb-input-row">
+            <button id="sb-unlock-btn" class="sb-btn">${escapeHtml(unlockLabel)}</button>
+          </div>${durationRow(false)}`;
+    } else if (variant === "warn") {
+      controls = `
+          <div class="sb-input-row">
+            <button id="sb-continue-btn" class="sb-btn" disabled>${escapeHtml(continueLabel)}</button>
+          </div>`;
+    }
+
+    const reasonRow =
+      askReason && variant !== "hard"
+        ? `
+          <div class="sb-input-row">
+            <input id="sb-reason" type="text" class="sb-input" placeholder="Why are you unlocking?"
+              aria-label="Why are you unlocking?" maxlength="200" autocomplete="off" />
+          </div>`
+        : "";
 
     root.innerHTML = `
       <div class="sb-backdrop"></div>
       <div class="sb-modal" role="dialog" aria-modal="true" aria-labelledby="sb-title">
         <div class="sb-header">
-          <div class="sb-lock-emoji" aria-hidden="true">🔒</div>
-          <h1 id="sb-title" class="sb-title">Site locked</h1>
-          ${host ? `<div class="sb-host">${host}</div>` : ""}
+          <div class="sb-lock-emoji" aria-hidden="true">${VARIANT_ICONS[variant] || VARIANT_ICONS.password}</div>
+          <h1 id="sb-title" class="sb-title">${escapeHtml(title)}</h1>
+          ${host ? `<div class="sb-host">${escapeHtml(host)}</div>` : ""}
         </div>
         <div class="sb-body">
-          <p class="sb-desc">This site is blocked. Enter the master password to continue.</p>
-          <div class="sb-input-row">
-            <input id="sb-password" type="password" class="sb-input" placeholder="Master password" autocomplete="current-password" ${!hasPassword ? "disabled" : ""} />
-            <button id="sb-unlock-btn" class="sb-btn" ${!hasPassword ? "disabled" : ""}>Unlock</button>
-          </div>
+          <p class="sb-desc">${escapeHtml(description)}</p>${reasonRow}${controls}
+          <div id="sb-confirm" class="sb-confirm" aria-live="polite"></div>
           <div id="sb-error" class="sb-error" role="alert" aria-live="polite"></div>
+          <div id="sb-lockout" class="sb-lockout" aria-live="polite"></div>
           <div class="sb-actions">
             <button id="sb-open-options" class="sb-link">Open Settings</button>
           </div>
@@ -76,10 +309,35 @@ if (typeof browser === "undefined") {
       if (el) el.textContent = msg || "";
     }
 
+    let confirmed = !confirmText;
+
+    // The reason typed in, "" when none is asked for, or null (with an error shown) when it is missing
+    function readReason() {
+      const reasonInput = root.querySelector("#sb-reason");
+      if (!reasonInput) return "";
+      const reason = reasonInput.value.trim();
+      if (!reason) {
+        setError("Say why you are unlocking first.");
+        reasonInput.focus();
+        return null;
+      }
+      return reason;
+    }
+
     function handleUnlock() {
       const input = root.querySelector("#sb-password");
       const value = input ? input.value : "";
-      Promise.resolve(onSubmit(value, setError))
+      if (!confirmed) {
+        confirmed = true;
+        root.querySelector("#sb-confirm").textContent = confirmText;
+        root.querySelector("#sb-unlock-btn").textContent = confirmLabel;
+        return;
+      }
+      const reason = readReason();
+      if (reason === null) return;
+      const select = root.querySelector("#sb-duration");
+      const duration = select ? select.value : defaultDuration;
+      Promise.resolve(onSubmit(value, setError, duration, reason))
         .then((ok) => {
           if (!ok && input) {
             input.focus();
@@ -92,18 +350,63 @@ if (typeof browser === "undefined") {
         });
     }
 
-    // Contain events within overlay, but allow inner handlers to run
-    root.addEventListener("click", (e) => {
-      e.stopPropagation(); // bubble phase: doesn't block button handlers
-    });
+    // Contain events within overlay, but allow inner handlers to run (bubble phase)
+    for (const type of ["click", "keydown", "keyup", "keypress"]) {
+      hostEl.addEventListener(type, stopEvent);
+    }
 
-    (document.documentElement || document.body).appendChild(root);
+    (document.documentElement || document.body).appendChild(hostEl);
+    overlay = {
+      hostEl,
+      shadow,
+      hasPassword,
+      style: hostEl.getAttribute("style"),
+      observer: new MutationObserver(enforceOverlay),
+      challenge: variant === "challenge" ? challenge : null
+    };
+    watch();
+
+    pauseMedia();
+    document.addEventListener("play", handleMediaPlay, true);
 
     const input = root.querySelector("#sb-password");
     const btn = root.querySelector("#sb-unlock-btn");
+    const continueBtn = root.querySelector("#sb-continue-btn");
     const openOptionsBtn = root.querySelector("#sb-open-options");
 
     if (btn) btn.addEventListener("click", handleUnlock);
+    const challengeEl = root.querySelector("#sb-challenge");
+    if (challengeEl) {
+      challenge.render(challengeEl, {
+        setReady: (ready) => {
+          btn.disabled = !ready;
+        }
+      });
+      // Enter in a single-line answer submits; textareas keep it for typing
+      challengeEl.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" && e.target.tagName === "INPUT") {
+          e.preventDefault();
+          if (!btn.disabled) handleUnlock();
+        }
+      });
+    }
+    if (continueBtn) {
+      continueBtn.addEventListener("click", () => {
+        const reason = readReason();
+        if (reason === null) return;
+        continueBtn.disabled = true;
+        Promise.resolve(onContinue(setError, reason))
+          .then((ok) => {
+            if (!ok) continueBtn.disabled = false;
+          })
+          .catch((err) => {
+            continueBtn.disabled = false;
+            setError("Unexpected error. Please try again.");
+            console.error("SiteBlocker onContinue error:", err);
+          });
+      });
+      startContinueCountdown(continueBtn, continueLabel, continueDelay);
+    }
     if (openOptionsBtn) openOptionsBtn.addEventListener("click", (e) => {
       e.preventDefault();
       try {
@@ -113,6 +416,17 @@ if (typeof browser === "undefined") {
       }
     });
 
+    const reasonInput = root.querySelector("#sb-reason");
+    if (reasonInput) {
+      // Enter moves on to the password rather than submitting an empty one
+      reasonInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" && input && !input.disabled) {
+          e.preventDefault();
+          input.focus();
+        }
+      });
+    }
+
     if (input) {
       input.addEventListener("keydown", (e) => {
         if (e.key === "Enter") {
@@ -121,12 +435,14 @@ if (typeof browser === "undefined") {
         }
       });
       if (hasPassword) {
-        setTimeout(() => input.focus(), 0);
+        setTimeout(() => (reasonInput || input).focus(), 0);
       } else {
-        setError("No master password is set. Open Settings to create one.");
+        setError("No password is set for this site. Open Settings to create one.");
       }
     }
 
+    if (lockedUntil > Date.now()) setLockout(lockedUntil);
+
     return {
       remove: removeOverlay,
       setError
@@ -136,6 +452,7 @@ if (typeof browser === "undefined") {
   window.SiteBlocker = {
     createOverlay,
     removeOverlay,
+    setLockout,
     isOverlayVisible
   };
 })();
\ No newline at end of file
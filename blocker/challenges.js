@@ -0,0 +1,263 @@
+"use strict";
+
+/**
+ * Unlock challenges: friction that stands in for the password on entries with a challenge action
+ * ("reddit.com => typing", see lib/matcher.js). The overlay (blocker/blocker.js) renders a challenge and
+ * the prompt (blocker/prompt.js) checks it before unlocking. No extension APIs are used here, so the options
+ * page loads this file too, for the settings.
+ *
+ * Types:
+ *  - "typing"     type a random passage exactly; pasting and dropping text are turned off
+ *  - "countdown"  wait while a countdown runs; it only counts while the page is visible
+ *  - "math"       solve arithmetic problems; a wrong answer brings new problems
+ *
+ * Settings (chrome.storage.local "challengeSettings"):
+ *   { typingLength, countdownSeconds, mathProblems, mathDifficulty }
+ *
+ * A challenge type is registered with register(type, { label, create(settings) }); create returns
+ *   { title, description, unlockLabel, render(container, { setReady }), verify() -> error message or null,
+ *     destroy() }
+ * render fills the container (inside the overlay's shadow root) and calls setReady(false) while the
+ * challenge cannot be submitted yet (e.g. a countdown); verify is called on submit.
+ * New types are also listed in CHALLENGE_TYPES in lib/matcher.js, which parses the entries.
+ *
+ * Exposes window.SiteBlockerChallenges:
+ *  - DEFAULT_SETTINGS, LIMITS ({ setting: [min, max] } for the numeric settings), DIFFICULTIES
+ *  - normalizeSettings(value) -> settings with every field present and within its limits
+ *  - register(type, definition)
+ *  - types() -> [{ type, label }]
+ *  - create(type, settings) -> challenge, or null for an unknown type
+ */
+
+(function () {
+  const DEFAULT_SETTINGS = { typingLength: 300, countdownSeconds: 60, mathProblems: 3, mathDifficulty: "medium" };
+  const LIMITS = { typingLength: [50, 2000], countdownSeconds: [5, 3600], mathProblems: [1, 10] };
+  const DIFFICULTIES = ["easy", "medium", "hard"];
+
+  const registry = new Map();
+
+  function normalizeSettings(value) {
+    const v = value && typeof value === "object" ? value : {};
+    const settings = { ...DEFAULT_SETTINGS };
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+      const n = Math.round(Number(v[key]));
+      if (Number.isFinite(n)) settings[key] = Math.min(max, Math.max(min, n));
+    }
+    if (DIFFICULTIES.includes(v.mathDifficulty)) settings.mathDifficulty = v.mathDifficulty;
+    return settings;
+  }
+
+  function register(type, definition) {
+    registry.set(type, definition);
+  }
+
+  function types() {
+    return Array.from(registry, ([type, d]) => ({ type, label: d.label }));
+  }
+
+  function create(type, settings) {
+    const definition = registry.get(type);
+    return definition ? definition.create(normalizeSettings(settings)) : null;
+  }
+
+  // Uniform in [min, max]
+  function randomInt(min, max) {
+    const [n] = crypto.getRandomValues(new Uint32Array(1));
+    return min + (n % (max - min + 1));
+  }
+
+  function element(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text != null) el.textContent = text;
+    return el;
+  }
+
+  // ------- Typing -------
+
+  const WORDS = (
+    "about above across after again against almost along already always among answer around because before " +
+    "begin behind below between bring build carry change clear close color common country course cover " +
+    "danger decide differ direct distant early earth eight enough even every example family father field " +
+    "figure final follow force forest garden gather govern great ground group happen heavy horse hundred " +
+    "island language large laugh learn letter light listen little machine market measure minute money " +
+    "morning mother mountain music nature never night number object ocean often order paper pattern people " +
+    "picture place plain planet point power present problem produce quick quiet rather reason record region " +
+    "remember river round science season second sentence several shape short simple since slowly sound " +
+    "special stand start station still story street strong study summer surface system table teach thought " +
+    "through together travel under until usual valley voice watch weather while whole window winter wonder " +
+    "world write yellow young"
+  ).split(" ");
+
+  // Sentences of random words, capitalized and with a full stop, until the passage is long enough
+  function randomPassage(length) {
+    const sentences = [];
+    let total = 0;
+    while (total < length) {
+      const words = [];
+      const count = randomInt(6, 12);
+      for (let i = 0; i < count; i++) words.push(WORDS[randomInt(0, WORDS.length - 1)]);
+      const sentence = `${words.join(" ")}.`;
+      sentences.push(sentence[0].toUpperCase() + sentence.slice(1));
+      total += sentence.length + 1;
+    }
+    return sentences.join(" ");
+  }
+
+  register("typing", {
+    label: "Type a passage",
+    create(settings) {
+      const passage = randomPassage(settings.typingLength);
+      let input = null;
+      const block = (e) => e.preventDefault();
+      return {
+        title: "Type to unlock",
+        description: "Type the passage below exactly, including capitals and full stops. Pasting is turned off.",
+        unlockLabel: "Unlock",
+        render(container) {
+          // Not selectable, so it cannot be copied from here
+          const text = element("div", "sb-passage", passage);
+          for (const type of ["copy", "cut", "selectstart", "dragstart", "contextmenu"]) text.addEventListener(type, block);
+          input = element("textarea", "sb-input sb-typing");
+          input.rows = 5;
+          input.spellcheck = false;
+          input.setAttribute("autocomplete", "off");
+          input.setAttribute("aria-label", "Type the passage");
+          for (const type of ["paste", "drop"]) input.addEventListener(type, block);
+          input.addEventListener("beforeinput", (e) => {
+            if (e.inputType === "insertFromPaste" || e.inputType === "insertFromDrop" || e.inputType === "insertReplacementText") {
+              e.preventDefault();
+            }
+          });
+          container.append(text, input);
+          setTimeout(() => input.focus(), 0);
+        },
+        verify() {
+          const typed = input ? input.value.replace(/\s+/g, " ").trim() : "";
+          if (typed === passage) return null;
+          // Point at the first difference, without giving the rest away
+          let i = 0;
+          while (i < typed.length && typed[i] === passage[i]) i++;
+          return i < typed.length
+            ? `The text differs from the passage after ${i} characters.`
+            : `Keep going: ${passage.length - typed.length} more characters to type.`;
+        },
+        destroy() {}
+      };
+    }
+  });
+
+  // ------- Countdown -------
+
+  register("countdown", {
+    label: "Wait for a countdown",
+    create(settings) {
+      let remainingMs = settings.countdownSeconds * 1000;
+      let timer = null;
+      return {
+        title: "Wait to unlock",
+        description:
+          `Wait ${settings.countdownSeconds} seconds before continuing. ` +
+          "The countdown pauses while this tab is in the background.",
+        unlockLabel: "Unlock",
+        render(container, { setReady }) {
+          const display = element("div", "sb-countdown");
+          container.append(display);
+          let last = Date.now();
+          const tick = () => {
+            const now = Date.now();
+            if (!document.hidden) remainingMs -= now - last;
+            last = now;
+            const seconds = Math.max(0, Math.ceil(remainingMs / 1000));
+            display.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+            setReady(seconds === 0);
+            if (seconds === 0) {
+              clearInterval(timer);
+              timer = null;
+            }
+          };
+          timer = setInterval(tick, 250);
+          tick();
+        },
+        verify() {
+          return remainingMs <= 0 ? null : "Wait for the countdown to finish.";
+        },
+        destroy() {
+          clearInterval(timer);
+          timer = null;
+        }
+      };
+    }
+  });
+
+  // ------- Math -------
+
+  function randomProblem(difficulty) {
+    if (difficulty === "easy") {
+      const a = randomInt(10, 99);
+      const b = randomInt(10, 99);
+      return randomInt(0, 1) ? { text: `${a} + ${b}`, answer: a + b } : { text: `${a + b} − ${b}`, answer: a };
+    }
+    if (difficulty === "hard") {
+      const a = randomInt(100, 999);
+      const b = randomInt(11, 99);
+      const c = randomInt(100, 999);
+      return { text: `${a} × ${b} − ${c}`, answer: a * b - c };
+    }
+    const a = randomInt(12, 99);
+    const b = randomInt(3, 9);
+    const c = randomInt(10, 99);
+    return { text: `${a} × ${b} + ${c}`, answer: a * b + c };
+  }
+
+  register("math", {
+    label: "Solve arithmetic problems",
+    create(settings) {
+      let problems = [];
+      let list = null;
+      function fill() {
+        problems = [];
+        list.textContent = "";
+        for (let i = 0; i < settings.mathProblems; i++) {
+          const problem = randomProblem(settings.mathDifficulty);
+          const row = element("label", "sb-math-row");
+          const input = element("input", "sb-input sb-math-answer");
+          input.type = "text";
+          input.inputMode = "numeric";
+          input.setAttribute("autocomplete", "off");
+          row.append(element("span", "sb-math-problem", `${problem.text} =`), input);
+          list.append(row);
+          problems.push({ ...problem, input });
+        }
+        setTimeout(() => problems[0].input.focus(), 0);
+      }
+      return {
+        title: "Solve to unlock",
+        description: `Solve ${settings.mathProblems === 1 ? "this problem" : `these ${settings.mathProblems} problems`} without a calculator.`,
+        unlockLabel: "Unlock",
+        render(container) {
+          list = element("div", "sb-math");
+          container.append(list);
+          fill();
+        },
+        verify() {
+          const solved = problems.every((p) => p.input.value.trim().replace(/^[−–]/, "-") === String(p.answer));
+          if (solved) return null;
+          fill();
+          return "Not all answers were right. Here are new problems.";
+        },
+        destroy() {}
+      };
+    }
+  });
+
+  window.SiteBlockerChallenges = {
+    DEFAULT_SETTINGS,
+    LIMITS,
+    DIFFICULTIES,
+    normalizeSettings,
+    register,
+    types,
+    create
+  };
+})();
@@ -0,0 +1,20 @@
+"use strict";
+
+/**
+ * Runs in the page's own JavaScript world (content script with "world": "MAIN"), because wrapping
+ * history.pushState/replaceState from the isolated content-script world would not see the page's calls.
+ * After each call it fires an "sb-navigate" event on window, which content.js listens for to re-check
+ * the URL of single-page apps. No extension APIs are available here.
+ */
+
+(function () {
+  for (const method of ["pushState", "replaceState"]) {
+    const original = history[method];
+    if (typeof original !== "function") continue;
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event("sb-navigate"));
+      return result;
+    };
+  }
+})();
@@ -0,0 +1,323 @@
+// Firefox/Chrome compatibility
+if (typeof browser === "undefined") {
+  var browser = chrome;
+}
+
+"use strict";
+
+/**
+ * Password prompt shared by the content script and the network-mode lock page.
+ * Exposes window.SiteBlockerPrompt:
+ *  - show({ host, url, budget, focus, action, challenge, onUnlocked({ expiresAt, extraMinutes, focusEnded }) })
+ *    Opens the overlay, has background verify the password (it tracks failed attempts and lockouts, and
+ *    knows which password applies: the master password, a group's own unlock password, or the admin password),
+ *    tells background the host is unlocked for the chosen duration, then calls onUnlocked.
+ *    expiresAt is the expiry in ms, or 0 for the rest of the session.
+ *    With `budget` ({ pattern, minutes, usedSeconds, extraMinutes }) the overlay reports the used-up
+ *    daily time budget and a correct password grants extraMinutes more instead of unlocking the host.
+ *    With `focus` ({ endsAt }) a focus session is running: there is no unlocking, and the password
+ *    (after a confirmation) only ends the session early.
+ *    action is the blocking entry's action: "lock" (the password overlay, default), "warn" (no password: a
+ *    "Continue anyway" button unlocks the host for the default unlock duration once WARN_DELAY_SECONDS have
+ *    passed), "challenge" (no password: the challenge named by `challenge` from blocker/challenges.js,
+ *    with the "challengeSettings" difficulty, is checked here and unlocks the host for the chosen duration)
+ *    or "hard" (no unlock at all, whatever else applies).
+ *    With "unlockReasonRequired" set, every unlock (and extra time) first asks why; the reason goes to
+ *    background with the unlock, for the activity log (lib/activity.js).
+ *    An overlay that is already up is replaced when the kind of block changes (e.g. a session starts).
+ *  - hideFocus(): removes the overlay if it was shown for a focus session (the session has ended)
+ */
+
+(function () {
+  const UNLOCK_DURATIONS = [
+    { value: "5", label: "5 minutes" },
+    { value: "15", label: "15 minutes" },
+    { value: "60", label: "1 hour" },
+    { value: "session", label: "Rest of session" }
+  ];
+
+  // How long the "Continue anyway" button of a warning stays disabled
+  const WARN_DELAY_SECONDS = 10;
+
+  function getChallengeSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get({ challengeSettings: null }, (data) => {
+        resolve(window.SiteBlockerChallenges.normalizeSettings(data.challengeSettings));
+      });
+    });
+  }
+
+  function getUnlockSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(
+        { unlockDefaultDuration: "15", unlockMaxDuration: "session", unlockReasonRequired: false },
+        resolve
+      );
+    });
+  }
+
+  // Durations up to and including the configured maximum
+  function allowedDurations(max) {
+    const idx = UNLOCK_DURATIONS.findIndex((d) => d.value === max);
+    return idx >= 0 ? UNLOCK_DURATIONS.slice(0, idx + 1) : UNLOCK_DURATIONS.slice();
+  }
+
+  function openOptions() {
+    try {
+      chrome.runtime.sendMessage({ type: "OPEN_OPTIONS" });
+    } catch {
+      // ignore
+    }
+  }
+
+  function sendMessage(msg) {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage(msg, (response) => {
+          void chrome.runtime.lastError;
+          resolve(response);
+        });
+      } catch {
+        resolve(undefined);
+      }
+    });
+  }
+
+  function incorrectPasswordMessage(attemptsLeft) {
+    if (attemptsLeft <= 3) {
+      return `Incorrect password. ${attemptsLeft} attempt${attemptsLeft === 1 ? "" : "s"} left before a temporary lockout.`;
+    }
+    return "Incorrect password. Please try again.";
+  }
+
+  function formatMinutes(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return m ? `${h} h ${m} min` : `${h} hour${h === 1 ? "" : "s"}`;
+  }
+
+  function formatTime(ms) {
+    return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }
+
+  function focusTexts(focus) {
+    return {
+      title: "Focus session running",
+      description:
+        `A focus session is running until ${formatTime(focus.endsAt)}. Unlocking is off until then; ` +
+        "the master password can only end the session early.",
+      unlockLabel: "End session early",
+      confirmText: "Ending the session unblocks the focus list and turns unlocking back on. Press again to end it.",
+      confirmLabel: "Yes, end the session"
+    };
+  }
+
+  // What the visible overlay was shown for: "hard", "focus", "budget", "challenge", "warn" or "unlock"
+  let shownFor = "";
+
+  function budgetTexts(budget, label) {
+    return {
+      title: "Time's up for today",
+      description:
+        `You've used ${formatMinutes(budget.usedSeconds)} of your ${formatMinutes(budget.minutes * 60)} daily budget ` +
+        `for ${budget.pattern}. Enter ${label} for ${formatMinutes(budget.extraMinutes * 60)} more.`,
+      unlockLabel: `Add ${budget.extraMinutes} min`
+    };
+  }
+
+  function unlockTexts(label) {
+    return { description: `This site is blocked. Enter ${label} to continue.` };
+  }
+
+  function hardTexts() {
+    return {
+      title: "Site blocked",
+      description: "This site is blocked for good: it cannot be unlocked here, not even with the password."
+    };
+  }
+
+  function warnTexts() {
+    return {
+      title: "Are you sure?",
+      description: "You asked to be reminded before visiting this site. Take a moment; you can continue shortly."
+    };
+  }
+
+  // Expiry (ms) of an unlock for the chosen duration, 0 for the rest of the session
+  function expiryFor(duration) {
+    return duration === "session" ? 0 : Date.now() + Number(duration) * 60 * 1000;
+  }
+
+  function unlockError(error) {
+    if (error === "focus") return "A focus session has started; unlocking is off until it ends.";
+    if (error === "reason") return "Say why you are unlocking first.";
+    return "This site can no longer be unlocked.";
+  }
+
+  async function show({ host, url = "", budget = null, focus = null, action = "lock", challenge = null, onUnlocked = () => {} }) {
+    let kind = "unlock";
+    if (action === "hard") kind = "hard";
+    else if (focus) kind = "focus";
+    else if (budget) kind = "budget";
+    else if (action === "challenge" && challenge) kind = "challenge";
+    else if (action === "warn") kind = "warn";
+    if (window.SiteBlocker.isOverlayVisible()) {
+      if (shownFor === kind) return;
+      window.SiteBlocker.removeOverlay();
+    }
+    shownFor = kind;
+
+    if (kind === "hard") {
+      window.SiteBlocker.createOverlay({ host, variant: "hard", ...hardTexts(), onOpenOptions: () => openOptions() });
+      return;
+    }
+
+    const { unlockDefaultDuration, unlockMaxDuration, unlockReasonRequired } = await getUnlockSettings();
+    // Ending a focus session early is not an unlock
+    const askReason = Boolean(unlockReasonRequired) && kind !== "focus";
+    const durations = allowedDurations(unlockMaxDuration);
+    const defaultDuration = durations.some((d) => d.value === unlockDefaultDuration)
+      ? unlockDefaultDuration
+      : durations[durations.length - 1].value;
+
+    if (kind === "challenge") {
+      const instance = window.SiteBlockerChallenges.create(challenge, await getChallengeSettings());
+      if (instance) {
+        window.SiteBlocker.createOverlay({
+          host,
+          variant: "challenge",
+          challenge: instance,
+          title: instance.title,
+          description: instance.description,
+          unlockLabel: instance.unlockLabel,
+          durations,
+          defaultDuration,
+          askReason,
+          onOpenOptions: () => openOptions(),
+          onSubmit: async (entered, setError, duration, reason) => {
+            const failed = instance.verify();
+            if (failed) {
+              setError(failed);
+              return false;
+            }
+            const chosen = durations.some((d) => d.value === duration) ? duration : defaultDuration;
+            const expiresAt = expiryFor(chosen);
+            const unlocked =
+              (await sendMessage({ type: "UNLOCK_TAB", host, url, expiresAt, method: "challenge", reason })) || {};
+            if (unlocked.error) {
+              setError(unlockError(unlocked.error));
+              return false;
+            }
+            window.SiteBlocker.removeOverlay();
+            onUnlocked({ expiresAt });
+            return true;
+          }
+        });
+        return;
+      }
+      // A challenge this version does not know: the password overlay
+      kind = "unlock";
+      shownFor = kind;
+    }
+
+    if (kind === "warn") {
+      window.SiteBlocker.createOverlay({
+        host,
+        variant: "warn",
+        ...warnTexts(),
+        continueDelay: WARN_DELAY_SECONDS,
+        askReason,
+        onOpenOptions: () => openOptions(),
+        onContinue: async (setError, reason) => {
+          const expiresAt = expiryFor(defaultDuration);
+          const unlocked =
+            (await sendMessage({ type: "UNLOCK_TAB", host, url, expiresAt, method: "warn", reason })) || {};
+          if (unlocked.error) {
+            setError(unlockError(unlocked.error));
+            return false;
+          }
+          window.SiteBlocker.removeOverlay();
+          onUnlocked({ expiresAt });
+          return true;
+        }
+      });
+      return;
+    }
+
+    // A focus session is ended with the master (or admin) password, whatever blocks the page
+    const credential = (await sendMessage({ type: "GET_UNLOCK_CREDENTIAL", url: focus ? "" : url })) || {};
+    const label = credential.label || "the master password";
+    const lockout = await sendMessage({ type: "GET_LOCKOUT" });
+
+    window.SiteBlocker.createOverlay({
+      host,
+      hasPassword: Boolean(credential.hasPassword),
+      ...(focus ? focusTexts(focus) : budget ? budgetTexts(budget, label) : unlockTexts(label)),
+      durations: kind === "unlock" ? durations : [],
+      defaultDuration,
+      lockedUntil: (lockout && lockout.lockedUntil) || 0,
+      askReason,
+      onOpenOptions: () => openOptions(),
+      onSubmit: async (enteredPassword, setError, duration, reason) => {
+        const type = focus ? "END_FOCUS_SESSION" : "VERIFY_PASSWORD";
+        const result = (await sendMessage({ type, password: enteredPassword || "", url })) || { error: "unexpected" };
+
+        if (result.error === "no-password") {
+          setError("No password is set for this site. Open Settings and create one.");
+          return false;
+        }
+
+        if (result.ok && focus) {
+          window.SiteBlocker.removeOverlay();
+          onUnlocked({ focusEnded: true });
+          return true;
+        } else if (result.ok && budget) {
+          const granted = (await sendMessage({ type: "GRANT_BUDGET_EXTRA", url, reason })) || {};
+          if (granted.error === "focus") {
+            setError("A focus session has started; no extra time until it ends.");
+            return false;
+          } else if (granted.error) {
+            setError(unlockError(granted.error));
+            return false;
+          }
+          window.SiteBlocker.removeOverlay();
+          onUnlocked({ extraMinutes: budget.extraMinutes });
+          return true;
+        } else if (result.ok) {
+          const chosen = durations.some((d) => d.value === duration) ? duration : defaultDuration;
+          const expiresAt = expiryFor(chosen);
+          const unlocked =
+            (await sendMessage({ type: "UNLOCK_TAB", host, url, expiresAt, method: "password", reason })) || {};
+          if (unlocked.error) {
+            setError(unlockError(unlocked.error));
+            return false;
+          }
+          window.SiteBlocker.removeOverlay();
+          onUnlocked({ expiresAt });
+          return true;
+        } else if (result.error) {
+          setError("Could not check the password. Please try again.");
+          return false;
+        } else {
+          // No attemptsLeft means the lockout was already running (or has just become a hard lockout)
+          setError(result.attemptsLeft ? incorrectPasswordMessage(result.attemptsLeft) : "");
+          if (result.lockedUntil) window.SiteBlocker.setLockout(result.lockedUntil);
+          return false;
+        }
+      }
+    });
+  }
+
+  function hideFocus() {
+    if (shownFor === "focus" && window.SiteBlocker.isOverlayVisible()) {
+      window.SiteBlocker.removeOverlay();
+    }
+  }
+
+  window.SiteBlockerPrompt = {
+    show,
+    hideFocus
+  };
+})();
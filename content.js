@@ -8,88 +8,280 @@ if (typeof browser === "undefined") {
 /**
  * Content script
  * - Receives block notifications from background
- * - Shows overlay and validates password against stored SHA-256 hash
- * - Sends message to background to open Options
+ * - Shows the password prompt (blocker/prompt.js); background verifies the password
+ * - Unlocks last for the duration picked in the overlay (capped by the Options maximum);
+ *   background relocks the tab when it expires
+ * - For an exhausted daily time budget the unlock adds extra time instead (nothing is remembered here)
+ * - During a focus session the overlay cannot unlock; it goes away when background reports the end
+ * - The overlay follows the entry's action: a warning (continue after a delay, no password), a challenge
+ *   (typing, countdown or arithmetic instead of the password; blocker/challenges.js renders it and the
+ *   prompt checks it here) or a hard block (no unlock, whatever this tab unlocked before); background
+ *   itself redirects or closes the tab
+ * - Asks background for a verdict ("CHECK_URL") when a single-page app changes the URL without a page
+ *   load (pushState/replaceState via blocker/history.js, popstate, hashchange)
+ * - Also runs in iframes: a frame checks its own URL and shows a frame-level overlay when it is blocked
+ * - Hides the document at document_start until there is a verdict, so a blocked page never shows:
+ *   the precompiled "verdictCache" (lib/verdict.js) lets allowed pages through straight away; a cached
+ *   "blocked", or a missing or stale cache, is settled by background. The time to a verdict is measured
+ *   against VERDICT_BUDGET_MS and reported in the page's console only with the "debugVerdictTiming" setting.
+ * - Evaluates the keyword rules (lib/keywords.js, delivered in the verdict cache): search terms in the URL
+ *   before the page shows, and in the top frame the title and visible text as they change. A match asks
+ *   background for the overlay ("KEYWORD_BLOCK").
+ * - Applies the cosmetic entries for this host ("host##selector", also from the verdict cache) as an injected
+ *   style sheet, and keeps it in the document while the page changes
  */
 
 (function () {
-  function sessionKeyForHost(host) {
-    return `sb_unlocked_${host}`;
+  // ------- Hidden until the verdict -------
+
+  // Time from document_start to a verdict that the page stays within (over it, a console warning when
+  // "debugVerdictTiming" is on in chrome.storage.local; otherwise nothing is logged on the page)
+  const VERDICT_BUDGET_MS = 50;
+  // Without any answer by then (background unreachable) the page is shown rather than left blank
+  const VERDICT_TIMEOUT_MS = 2000;
+  const PENDING_ATTR = "data-sb-pending";
+
+  const startedAt = performance.now();
+  let pending = false;
+  let verdictTimer = null;
+  let debugTiming = false;
+
+  // Synchronous at document_start, before the page can paint; blocker.css hides html[data-sb-pending]
+  function hideDocument() {
+    if (!document.documentElement) return;
+    document.documentElement.setAttribute(PENDING_ATTR, "");
+    pending = true;
+    verdictTimer = setTimeout(() => {
+      verdictTimer = null;
+      if (debugTiming) console.warn(`Site Blocker: no verdict after ${VERDICT_TIMEOUT_MS} ms; showing the page.`);
+      revealDocument();
+    }, VERDICT_TIMEOUT_MS);
   }
 
-  function getMasterHash() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get({ masterHash: "" }, (items) => resolve(items.masterHash || ""));
+  function settleVerdict(source) {
+    if (verdictTimer === null) return;
+    clearTimeout(verdictTimer);
+    verdictTimer = null;
+    const elapsed = performance.now() - startedAt;
+    if (debugTiming && elapsed > VERDICT_BUDGET_MS) {
+      console.warn(
+        `Site Blocker: verdict (${source}) took ${Math.round(elapsed)} ms; the budget is ${VERDICT_BUDGET_MS} ms.`
+      );
+    }
+  }
+
+  // On an "allowed" verdict, or once the overlay of a blocked page is gone
+  function revealDocument() {
+    settleVerdict("none");
+    if (!pending) return;
+    pending = false;
+    if (document.documentElement) document.documentElement.removeAttribute(PENDING_ATTR);
+    // Scans skipped while the page was hidden
+    if (keywordObserver) scheduleScan();
+  }
+
+  // action: "lock" (password overlay), "warn", "challenge" (with the challenge type) or "hard" (see blocker/prompt.js)
+  // Background only asks for the overlay when the tab has no unlock for the host (nothing page-writable
+  // such as sessionStorage is trusted for that)
+  function handleBlockMessage(host, url, budget, focus, action = "lock", challenge = null) {
+    if (!host) return;
+
+    // A blocked page stays hidden behind its overlay
+    window.SiteBlockerPrompt.show({
+      host,
+      url,
+      budget,
+      focus,
+      action,
+      challenge,
+      onUnlocked: () => revealDocument()
     });
   }
 
-  function openOptions() {
+  // ------- Keyword rules -------
+
+  // Debounce for title/text scans while the page changes, and how much visible text is read
+  const KEYWORD_SCAN_DELAY_MS = 750;
+  const MAX_TEXT_CHARS = 200000;
+  const isTopFrame = window === window.top;
+
+  let keywordRules = [];
+  let keywordObserver = null;
+  let keywordScanTimer = null;
+
+  function setKeywordRules(cache) {
+    keywordRules = SiteBlockerKeywords.compile(SiteBlockerVerdictCache.keywordRules(cache));
+    if (isTopFrame && keywordRules.some(({ rule }) => rule.title || rule.text)) watchPage();
+  }
+
+  function queryKeywordMatch() {
+    for (const term of SiteBlockerKeywords.searchTerms(location.href)) {
+      const rule = SiteBlockerKeywords.findMatch(keywordRules, "query", term);
+      if (rule) return rule;
+    }
+    return null;
+  }
+
+  // Background decides (the host may be unlocked in this tab); onAllowed runs when no overlay is due
+  function requestKeywordBlock(onAllowed) {
     try {
-      chrome.runtime.sendMessage({ type: "OPEN_OPTIONS" });
+      chrome.runtime.sendMessage({ type: "KEYWORD_BLOCK", url: location.href }, (res) => {
+        void chrome.runtime.lastError;
+        if (res && res.blocked) {
+          settleVerdict("keyword");
+          handleBlockMessage(location.hostname, location.href, res.budget || null, res.focus || null, res.action || "lock");
+        } else if (onAllowed) {
+          onAllowed();
+        }
+      });
     } catch {
-      // ignore
+      // Extension reloaded
+      if (onAllowed) onAllowed();
     }
   }
 
-  async function sha256Hex(str) {
-    const enc = new TextEncoder();
-    const data = enc.encode(str);
-    const digest = await crypto.subtle.digest("SHA-256", data);
-    const bytes = new Uint8Array(digest);
-    return Array.from(bytes).map((b) => b.toString(16).padStart(2, "0")).join("");
+  function scanPage() {
+    keywordScanTimer = null;
+    if (pending || window.SiteBlocker.isOverlayVisible()) return;
+    let rule = SiteBlockerKeywords.findMatch(keywordRules, "title", document.title);
+    if (!rule && document.body && keywordRules.some((k) => k.rule.text)) {
+      // innerText leaves out hidden elements, scripts and styles
+      rule = SiteBlockerKeywords.findMatch(keywordRules, "text", document.body.innerText.slice(0, MAX_TEXT_CHARS));
+    }
+    if (rule) requestKeywordBlock(null);
   }
 
-  async function handleBlockMessage(host, url) {
-    if (!host) return;
+  function scheduleScan() {
+    if (keywordScanTimer === null) keywordScanTimer = setTimeout(scanPage, KEYWORD_SCAN_DELAY_MS);
+  }
 
-    const key = sessionKeyForHost(host);
-    if (sessionStorage.getItem(key) === "1") {
-      return;
-    }
+  // Titles and text change after load (single-page apps, lazy content), so scans follow DOM changes
+  function watchPage() {
+    if (keywordObserver || !document.documentElement) return;
+    keywordObserver = new MutationObserver(scheduleScan);
+    keywordObserver.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    document.addEventListener("DOMContentLoaded", scheduleScan);
+    scheduleScan();
+  }
 
-    if (window.SiteBlocker && window.SiteBlocker.isOverlayVisible()) {
-      return;
-    }
+  // ------- Cosmetic rules -------
 
-    const masterHash = await getMasterHash();
+  const COSMETIC_STYLE_ID = "sb-cosmetic";
 
-    window.SiteBlocker.createOverlay({
-      host,
-      hasPassword: Boolean(masterHash),
-      onOpenOptions: () => openOptions(),
-      onSubmit: async (enteredPassword, setError) => {
-        const savedHash = await getMasterHash();
-
-        if (!savedHash) {
-          setError("No master password set. Open Settings and create one.");
-          return false;
-        }
+  let cosmeticStyle = null;
+  let cosmeticCss = "";
+  let cosmeticObserver = null;
+
+  // Elements added later are hidden by the style sheet itself; this only puts the sheet back when the
+  // page removes or rewrites it (some single-page apps rebuild <head> or drop styles they do not know)
+  function ensureCosmeticStyle() {
+    const root = document.documentElement;
+    if (!cosmeticStyle || !root) return;
+    if (cosmeticStyle.textContent !== cosmeticCss) cosmeticStyle.textContent = cosmeticCss;
+    if (cosmeticStyle.parentNode !== root) root.appendChild(cosmeticStyle);
+  }
 
-        const normalized = (enteredPassword || "").trim();
-        const inputHash = await sha256Hex(normalized);
+  function setCosmeticRules(cache) {
+    const selectors = SiteBlockerVerdictCache.cosmeticSelectors(cache, location.href);
+    if (!selectors.length) {
+      if (cosmeticObserver) cosmeticObserver.disconnect();
+      if (cosmeticStyle) cosmeticStyle.remove();
+      cosmeticObserver = null;
+      cosmeticStyle = null;
+      return;
+    }
+    // One rule per selector, so a selector this browser does not understand only drops its own rule
+    cosmeticCss = selectors.map((s) => `${s} { display: none !important; }`).join("\n");
+    if (!cosmeticStyle) {
+      cosmeticStyle = document.createElement("style");
+      cosmeticStyle.id = COSMETIC_STYLE_ID;
+    }
+    ensureCosmeticStyle();
+    if (!cosmeticObserver && document.documentElement) {
+      cosmeticObserver = new MutationObserver(ensureCosmeticStyle);
+      cosmeticObserver.observe(document.documentElement, { childList: true });
+      cosmeticObserver.observe(cosmeticStyle, { childList: true, characterData: true, subtree: true });
+    }
+  }
 
-        if (inputHash === savedHash) {
-          sessionStorage.setItem(key, "1");
-          window.SiteBlocker.removeOverlay();
+  // ------- Verdicts -------
 
-          try {
-            chrome.runtime.sendMessage({ type: "UNLOCK_TAB", host });
-          } catch {
-            // ignore
-          }
+  let lastUrl = location.href;
 
-          return true;
-        } else {
-          setError("Incorrect password. Please try again.");
-          return false;
+  // Background knows the tab's unlocks and redirects a blocked top frame in network mode
+  function requestVerdict() {
+    try {
+      chrome.runtime.sendMessage({ type: "CHECK_URL", url: location.href }, (res) => {
+        void chrome.runtime.lastError;
+        settleVerdict("background");
+        if (!res || !res.blocked) {
+          revealDocument();
+        } else if (!res.redirecting) {
+          handleBlockMessage(
+            location.hostname,
+            location.href,
+            res.budget || null,
+            res.focus || null,
+            res.action || "lock",
+            res.challenge || null
+          );
         }
+      });
+    } catch {
+      // Extension reloaded; the old content script can no longer reach background
+      revealDocument();
+    }
+  }
+
+  // An "allowed" answer from the verdict cache settles the load; anything else goes to background
+  function checkOnLoad() {
+    hideDocument();
+    chrome.storage.local.get({ verdictCache: null, debugVerdictTiming: false }, (items) => {
+      const cache = chrome.runtime.lastError ? null : items.verdictCache;
+      debugTiming = !chrome.runtime.lastError && items.debugVerdictTiming === true;
+      setKeywordRules(cache);
+      setCosmeticRules(cache);
+      if (queryKeywordMatch()) {
+        requestKeywordBlock(requestVerdict);
+        return;
+      }
+      const cached = SiteBlockerVerdictCache.check(cache, location.href);
+      if (cached === "allowed") {
+        settleVerdict("cache");
+        revealDocument();
+      } else {
+        requestVerdict();
       }
     });
   }
 
+  function handleNavigation() {
+    if (location.href === lastUrl) return;
+    lastUrl = location.href;
+    if (queryKeywordMatch()) requestKeywordBlock(requestVerdict);
+    else requestVerdict();
+  }
+
+  window.addEventListener("sb-navigate", handleNavigation);
+  window.addEventListener("popstate", handleNavigation);
+  window.addEventListener("hashchange", handleNavigation);
+
+  checkOnLoad();
+
+  // Keyword rules and cosmetic entries edited in Options reach open pages with the next verdict cache
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local" || !changes.verdictCache) return;
+    setKeywordRules(changes.verdictCache.newValue);
+    setCosmeticRules(changes.verdictCache.newValue);
+  });
+
   chrome.runtime.onMessage.addListener((msg) => {
     if (msg && msg.type === "SHOW_BLOCK") {
-      handleBlockMessage(msg.host, msg.url);
+      const { host, url, budget = null, focus = null, action = "lock", challenge = null } = msg;
+      handleBlockMessage(host, url, budget, focus, action, challenge);
+    } else if (msg && msg.type === "FOCUS_ENDED") {
+      window.SiteBlockerPrompt.hideFocus();
+      if (!window.SiteBlocker.isOverlayVisible()) revealDocument();
     }
   });
 })();
\ No newline at end of file
@@ -0,0 +1,216 @@
+"use strict";
+
+/**
+ * Activity log: what was blocked, unlocked (and why), wrong passwords and settings changes. Background
+ * appends the events; the options page shows the history and statistics and exports it as CSV.
+ *
+ * Stored in chrome.storage.local "activityLog", oldest first, as events { at, type, ... }:
+ *   { type: "block", host, action, cause }     a blocked page was stopped. action: the entry's action
+ *                                              (lib/matcher.js); cause: "entry", "budget" (used-up time
+ *                                              budget), "focus" (during a focus session) or "keyword"
+ *   { type: "unlock", host, method, minutes, reason }
+ *                                              method: "password", "challenge", "warn" or "budget" (extra
+ *                                              time); minutes: how long, null for the rest of the session;
+ *                                              reason: what was typed when asked why (or "")
+ *   { type: "failed", host, lockedUntil }      wrong password (host "" outside a blocked page, e.g. the
+ *                                              options sign-in); lockedUntil when it started a lockout
+ *   { type: "settings", keys, added, removed } keys: names of what changed; added/removed: blocked list and
+ *                                              focus list entries
+ * Events older than "activityRetentionDays" (local) are dropped, and at most MAX_EVENTS are kept.
+ *
+ * Exposes globalThis.SiteBlockerActivity:
+ *  - TYPES, RETENTION_DAYS (the choices), DEFAULT_RETENTION_DAYS, MAX_EVENTS, MAX_REASON_LENGTH
+ *  - normalizeRetention(days) -> one of RETENTION_DAYS
+ *  - append(log, event, retentionDays, now) -> new log with the event and without expired events
+ *  - settingsEvent(changes) -> "settings" event for a storage.onChanged batch, or null when no setting changed
+ *  - summarize(events) -> { counts: { type: n }, hosts: [{ host, block, unlock, failed }] (most blocked first),
+ *    hours: [{ block, unlock }] by local hour of day, reasons: [{ reason, count }] (most given first) }
+ *  - describe(event) -> human-readable summary
+ *  - toCsv(events) -> CSV text with a header row
+ */
+
+(function () {
+  const TYPES = ["block", "unlock", "failed", "settings"];
+  const RETENTION_DAYS = [7, 30, 90, 365];
+  const DEFAULT_RETENTION_DAYS = 30;
+  const MAX_EVENTS = 5000;
+  const MAX_REASON_LENGTH = 200;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // Entries listed in a settings event, each way
+  const MAX_LISTED_ENTRIES = 20;
+
+  // Storage keys that count as settings, by what the history calls them
+  const SETTING_NAMES = {
+    blockedGroups: "blocked list",
+    blockedSites: "blocked list",
+    focusSites: "focus list",
+    subscriptions: "subscribed lists",
+    keywordRules: "keyword rules",
+    blockedStorage: "storage location",
+    enforcementMode: "blocking mode",
+    budgetResetHour: "time budgets",
+    budgetExtraMinutes: "time budgets",
+    unlockDefaultDuration: "unlock duration",
+    unlockMaxDuration: "unlock duration",
+    unlockReasonRequired: "unlock reasons",
+    challengeSettings: "unlock challenges",
+    commitmentDelayHours: "commitment mode",
+    masterHash: "master password",
+    adminHash: "admin password",
+    groupUnlockHashes: "group passwords",
+    activityRetentionDays: "activity log"
+  };
+
+  const CAUSE_NAMES = { budget: "time budget used up", focus: "focus session", keyword: "keyword rule" };
+  const METHOD_NAMES = { password: "password", challenge: "challenge", warn: "warning", budget: "extra time" };
+
+  function normalizeRetention(days) {
+    const n = Number(days);
+    return RETENTION_DAYS.includes(n) ? n : DEFAULT_RETENTION_DAYS;
+  }
+
+  function append(log, event, retentionDays = DEFAULT_RETENTION_DAYS, now = Date.now()) {
+    const cutoff = now - normalizeRetention(retentionDays) * DAY_MS;
+    const kept = (Array.isArray(log) ? log : []).filter((e) => e && Number(e.at) >= cutoff);
+    kept.push(event);
+    return kept.length > MAX_EVENTS ? kept.slice(kept.length - MAX_EVENTS) : kept;
+  }
+
+  // ------- Settings changes -------
+
+  function listedEntries(key, value) {
+    if (!Array.isArray(value)) return [];
+    if (key === "blockedGroups") return value.flatMap((g) => (g && Array.isArray(g.sites) ? g.sites : []));
+    return value.filter((s) => typeof s === "string");
+  }
+
+  function settingsEvent(changes) {
+    const names = new Set();
+    const added = [];
+    const removed = [];
+    for (const [key, change] of Object.entries(changes || {})) {
+      if (!(key in SETTING_NAMES)) continue;
+      if (JSON.stringify(change.oldValue) === JSON.stringify(change.newValue)) continue;
+      names.add(SETTING_NAMES[key]);
+      // Moving the list to the other storage area is not adding or removing entries
+      if (key !== "blockedGroups" && key !== "focusSites") continue;
+      if (change.oldValue === undefined || change.newValue === undefined) continue;
+      const before = listedEntries(key, change.oldValue);
+      const after = listedEntries(key, change.newValue);
+      added.push(...after.filter((s) => !before.includes(s)));
+      removed.push(...before.filter((s) => !after.includes(s)));
+    }
+    if (!names.size) return null;
+    return {
+      type: "settings",
+      keys: Array.from(names),
+      added: Array.from(new Set(added)).slice(0, MAX_LISTED_ENTRIES),
+      removed: Array.from(new Set(removed)).slice(0, MAX_LISTED_ENTRIES)
+    };
+  }
+
+  // ------- Statistics -------
+
+  function summarize(events) {
+    const counts = Object.fromEntries(TYPES.map((t) => [t, 0]));
+    const hosts = new Map();
+    const hours = Array.from({ length: 24 }, () => ({ block: 0, unlock: 0 }));
+    const reasons = new Map();
+    for (const e of events || []) {
+      if (!e || !(e.type in counts)) continue;
+      counts[e.type]++;
+      if (e.host && e.type !== "settings") {
+        if (!hosts.has(e.host)) hosts.set(e.host, { host: e.host, block: 0, unlock: 0, failed: 0 });
+        hosts.get(e.host)[e.type]++;
+      }
+      if (e.type === "block" || e.type === "unlock") hours[new Date(e.at).getHours()][e.type]++;
+      const reason = e.type === "unlock" && typeof e.reason === "string" ? e.reason.trim() : "";
+      if (reason) reasons.set(reason, (reasons.get(reason) || 0) + 1);
+    }
+    return {
+      counts,
+      hosts: Array.from(hosts.values()).sort(
+        (a, b) => b.block - a.block || b.unlock - a.unlock || a.host.localeCompare(b.host)
+      ),
+      hours,
+      reasons: Array.from(reasons, ([reason, count]) => ({ reason, count })).sort((a, b) => b.count - a.count)
+    };
+  }
+
+  // ------- Display and export -------
+
+  function formatMinutes(minutes) {
+    if (minutes == null) return "the rest of the session";
+    return minutes < 60 ? `${minutes} min` : `${Math.round((minutes / 60) * 10) / 10} h`;
+  }
+
+  function describe(event) {
+    switch (event.type) {
+      case "block": {
+        const cause = CAUSE_NAMES[event.cause];
+        const action = event.action && event.action !== "lock" ? ` (${event.action})` : "";
+        return `Blocked ${event.host}${action}${cause ? `: ${cause}` : ""}`;
+      }
+      case "unlock": {
+        const how = METHOD_NAMES[event.method] || event.method;
+        const minutes = formatMinutes(event.minutes);
+        const what = event.method === "budget" ? `${minutes} more` : `for ${minutes}`;
+        return `Unlocked ${event.host} ${what} (${how})${event.reason ? `: “${event.reason}”` : ""}`;
+      }
+      case "failed":
+        return `Wrong password${event.host ? ` for ${event.host}` : ""}${
+          event.lockedUntil ? `; locked until ${new Date(event.lockedUntil).toLocaleTimeString()}` : ""
+        }`;
+      case "settings": {
+        const parts = [`Changed ${event.keys.join(", ")}`];
+        if (event.added && event.added.length) parts.push(`added ${event.added.join(", ")}`);
+        if (event.removed && event.removed.length) parts.push(`removed ${event.removed.join(", ")}`);
+        return parts.join("; ");
+      }
+      default:
+        return event.type;
+    }
+  }
+
+  // Quoted when needed; a leading = + - @ is escaped so spreadsheets do not run it as a formula
+  function csvCell(value) {
+    let text = value == null ? "" : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCsv(events) {
+    const rows = [["time", "type", "host", "action", "cause", "method", "minutes", "reason", "details"]];
+    for (const e of events || []) {
+      let details = "";
+      if (e.type === "settings") details = describe(e);
+      else if (e.type === "failed" && e.lockedUntil) details = `locked until ${new Date(e.lockedUntil).toISOString()}`;
+      rows.push([
+        new Date(e.at).toISOString(),
+        e.type,
+        e.host || "",
+        e.action || "",
+        e.cause || "",
+        e.method || "",
+        e.type === "unlock" ? (e.minutes == null ? "session" : e.minutes) : "",
+        e.reason || "",
+        details
+      ]);
+    }
+    return `${rows.map((row) => row.map(csvCell).join(",")).join("\r\n")}\r\n`;
+  }
+
+  globalThis.SiteBlockerActivity = {
+    TYPES,
+    RETENTION_DAYS,
+    DEFAULT_RETENTION_DAYS,
+    MAX_EVENTS,
+    MAX_REASON_LENGTH,
+    normalizeRetention,
+    append,
+    settingsEvent,
+    summarize,
+    describe,
+    toCsv
+  };
+})();
@@ -0,0 +1,133 @@
+"use strict";
+
+/**
+ * Settings files: passphrase encryption (WebCrypto) and merging imported groups into the current ones.
+ * Used by the options page for export and import.
+ *
+ * Encrypted file (the plain export JSON, encrypted with AES-GCM under a PBKDF2-derived key):
+ *   { format: "site-blocker-encrypted", version: 1,
+ *     kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt: "<hex>" },
+ *       (iterations outside the range lib/password.js accepts are refused as a damaged file)
+ *     cipher: { name: "AES-GCM", iv: "<hex>" },
+ *     data: "<base64 ciphertext>" }
+ *
+ * Exposes globalThis.SiteBlockerBackup (needs lib/password.js):
+ *  - isEncrypted(obj) -> true for an encrypted file (parsed)
+ *  - encrypt(text, passphrase) -> Promise<encrypted file object>
+ *  - decrypt(file, passphrase) -> Promise<text>; rejects when the passphrase is wrong or the file is damaged
+ *  - mergeGroups(current, imported) -> groups: each imported group's entries are added to the current group
+ *    with the same id (or else the same name); other imported groups are appended. Nothing is removed, and
+ *    the switches of existing groups stay as they are.
+ *  - diffGroups(before, after) -> { added: [{ group, sites }], removed: [{ group, sites }] } (group = name);
+ *    groups are paired up by id, or else by name
+ */
+
+(function () {
+  const FORMAT = "site-blocker-encrypted";
+  const SALT_BYTES = 16;
+  const IV_BYTES = 12;
+  const { ITERATIONS, isValidIterations, toHex, fromHex } = SiteBlockerPassword;
+
+  function toBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    const binary = atob(text);
+    const out = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) out[i] = binary.charCodeAt(i);
+    return out;
+  }
+
+  function isEncrypted(obj) {
+    return Boolean(obj) && typeof obj === "object" && obj.format === FORMAT;
+  }
+
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, [
+      "deriveKey"
+    ]);
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async function encrypt(text, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt, ITERATIONS);
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text));
+    return {
+      format: FORMAT,
+      version: 1,
+      kdf: { name: "PBKDF2", hash: "SHA-256", iterations: ITERATIONS, salt: toHex(salt) },
+      cipher: { name: "AES-GCM", iv: toHex(iv) },
+      data: toBase64(new Uint8Array(data))
+    };
+  }
+
+  async function decrypt(file, passphrase) {
+    const { kdf, cipher, data } = file || {};
+    if (!kdf || !cipher || typeof data !== "string" || typeof kdf.salt !== "string" || typeof cipher.iv !== "string") {
+      throw new Error("Damaged encrypted file.");
+    }
+    if (!isValidIterations(kdf.iterations)) throw new Error("Damaged encrypted file.");
+    const key = await deriveKey(passphrase, fromHex(kdf.salt), kdf.iterations);
+    // AES-GCM checks integrity, so a wrong passphrase fails here rather than producing garbage
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromHex(cipher.iv) }, key, fromBase64(data));
+    return new TextDecoder().decode(plain);
+  }
+
+  function sameName(a, b) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+
+  function counterpart(groups, group) {
+    return groups.find((g) => g.id === group.id) || groups.find((g) => sameName(g.name, group.name)) || null;
+  }
+
+  function mergeGroups(current, imported) {
+    const groups = current.map((g) => ({ ...g, sites: g.sites.slice() }));
+    for (const incoming of imported) {
+      const target = counterpart(groups, incoming);
+      if (target) {
+        for (const site of incoming.sites) {
+          if (!target.sites.includes(site)) target.sites.push(site);
+        }
+      } else {
+        groups.push({ ...incoming, sites: incoming.sites.slice() });
+      }
+    }
+    return groups;
+  }
+
+  function diffGroups(before, after) {
+    const added = [];
+    const removed = [];
+    for (const g of before) {
+      const now = counterpart(after, g);
+      const gone = g.sites.filter((s) => !now || !now.sites.includes(s));
+      if (gone.length) removed.push({ group: g.name, sites: gone });
+    }
+    for (const g of after) {
+      const was = counterpart(before, g);
+      const gained = g.sites.filter((s) => !was || !was.sites.includes(s));
+      if (gained.length) added.push({ group: g.name, sites: gained });
+    }
+    return { added, removed };
+  }
+
+  globalThis.SiteBlockerBackup = {
+    isEncrypted,
+    encrypt,
+    decrypt,
+    mergeGroups,
+    diffGroups
+  };
+})();
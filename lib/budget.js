@@ -0,0 +1,108 @@
+"use strict";
+
+/**
+ * Daily time budgets for block-list entries.
+ * A budget is written after the pattern (before any schedule):
+ *   youtube.com: 30 minutes/day
+ *   reddit.com 1h/day @ Mon-Fri
+ * A budget entry does not block until its daily allowance is used up. Time counts while a
+ * matching page is the active tab of the focused window; the day starts at the configured
+ * reset hour. Unlocking an exhausted budget with the password adds extra time for that day.
+ *
+ * Usage record (chrome.storage.local "budgetUsage"):
+ *   { day: "YYYY-MM-DD", used: { "<pattern>": seconds }, extra: { "<pattern>": seconds } }
+ *
+ * Exposes globalThis.SiteBlockerBudget (needs lib/matcher.js):
+ *  - splitBudget(text) -> { pattern, minutes, error }   (minutes 0 = no budget)
+ *  - dayKey(date, resetHour) -> "YYYY-MM-DD" of the budget day containing date
+ *  - nextReset(date, resetHour) -> timestamp (ms) of the next reset
+ *  - classify(parts, usage, day) -> { patterns, budgets, exhausted }
+ *      patterns:  entries without a budget (block as usual)
+ *      budgets:   [{ pattern, minutes, used, remaining }] (seconds)
+ *      exhausted: patterns of budgets with no time left (block like normal entries)
+ *  - budgetsForUrl(url, classified) -> budgets whose pattern matches url (exceptions respected)
+ *  - blockVerdict(url, classified, explain) -> null when allowed, else { budget, action } where budget is the
+ *    exhausted budget that blocks the URL, or null when a regular entry blocks it; action is the strictest
+ *    action of the blocking entries (always the password overlay for a budget, which has no action).
+ *    explain(url, patterns) defaults to SiteBlockerMatch.explainUrl (e.g. pass a compiled index instead)
+ */
+
+(function () {
+  const BUDGET_RE = /^(\S+?)(?::\s*|\s+)(\d+(?:\.\d+)?)\s*(m|mins?|minutes?|h|hrs?|hours?)\s*\/\s*day$/i;
+
+  function splitBudget(text) {
+    const t = (text || "").trim();
+    const m = t.match(BUDGET_RE);
+    if (!m) return { pattern: t, minutes: 0, error: null };
+
+    const value = Number(m[2]);
+    const minutes = Math.round(/^h/i.test(m[3]) ? value * 60 : value);
+    const result = { pattern: m[1], minutes, error: null };
+    if (minutes < 1 || minutes > 24 * 60) {
+      result.error = "Time budgets must be between 1 minute and 24 hours per day.";
+    } else if (m[1].startsWith("!")) {
+      result.error = "Exceptions cannot have a time budget.";
+    }
+    return result;
+  }
+
+  function pad(n) {
+    return String(n).padStart(2, "0");
+  }
+
+  // Before the reset hour, time still counts toward the previous day
+  function dayKey(date = new Date(), resetHour = 0) {
+    const d = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getHours() < resetHour ? 1 : 0));
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  function nextReset(date = new Date(), resetHour = 0) {
+    const d = new Date(date.getFullYear(), date.getMonth(), date.getDate(), resetHour, 0, 0, 0);
+    if (d.getTime() <= date.getTime()) d.setDate(d.getDate() + 1);
+    return d.getTime();
+  }
+
+  function classify(parts, usage, day) {
+    const current = usage && usage.day === day ? usage : { used: {}, extra: {} };
+    const patterns = [];
+    const budgets = [];
+    const exhausted = [];
+
+    for (const part of parts || []) {
+      const { pattern, minutes, error } = splitBudget(part);
+      if (!minutes || error) {
+        patterns.push(pattern);
+        continue;
+      }
+      const used = (current.used && current.used[pattern]) || 0;
+      const extra = (current.extra && current.extra[pattern]) || 0;
+      const remaining = minutes * 60 + extra - used;
+      budgets.push({ pattern, minutes, used, remaining });
+      if (remaining <= 0) exhausted.push(pattern);
+    }
+    return { patterns, budgets, exhausted };
+  }
+
+  function budgetsForUrl(url, classified) {
+    const exceptions = classified.patterns.filter((p) => p.startsWith("!"));
+    return classified.budgets.filter((b) => SiteBlockerMatch.isUrlBlocked(url, exceptions.concat(b.pattern)));
+  }
+
+  function blockVerdict(url, classified, explain = SiteBlockerMatch.explainUrl) {
+    const direct = explain(url, classified.patterns);
+    if (direct.blocked) return { budget: null, action: SiteBlockerMatch.strictestAction(direct.matches) };
+    if (!classified.exhausted.length) return null;
+    if (!explain(url, classified.patterns.concat(classified.exhausted)).blocked) return null;
+    const budget = budgetsForUrl(url, classified).find((b) => b.remaining <= 0);
+    return { budget: budget || null, action: { type: "lock" } };
+  }
+
+  globalThis.SiteBlockerBudget = {
+    splitBudget,
+    dayKey,
+    nextReset,
+    classify,
+    budgetsForUrl,
+    blockVerdict
+  };
+})();
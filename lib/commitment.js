@@ -0,0 +1,290 @@
+"use strict";
+
+/**
+ * Commitment mode: changes that lower protection are queued and only take effect after a delay.
+ * Shared by the options page (which plans and queues the changes) and the background worker
+ * (which applies them when they are due).
+ *
+ * Pending change (chrome.storage.local "pendingChanges" is a list of these):
+ *   { id, type, createdAt, applyAt, groupId?, groupName?, sites?, masterHash?, adminHash?, unlockHash?, hours?,
+ *     subscriptionId?, url?, rules? }
+ * Types:
+ *   "remove-entries"        remove sites from the group groupId
+ *   "remove-focus-entries"  remove sites from the focus list
+ *   "add-exceptions"        add exception entries ("!site") to the group groupId; an exception unblocks
+ *                           like removing the entries it overrides
+ *   "add-focus-exceptions"  add exception entries to the focus list
+ *   "disable-group"         turn the group off
+ *   "remove-group"          delete the group
+ *   "remove-subscription"   unsubscribe from the list subscriptionId (at url)
+ *   "remove-keyword-rules"  remove the keyword rules `rules` (changing a rule removes the old one)
+ *   "unprotect-group"       stop requiring the password to turn the group off
+ *   "set-password"          replace the master password hash with masterHash
+ *   "set-admin-password"    replace the admin password hash with adminHash (null removes it)
+ *   "set-group-password"    replace the group's own unlock password hash with unlockHash (null: back to
+ *                           the master password)
+ *   "set-delay"             lower the commitment delay to hours (0 = commitment mode off)
+ *
+ * Exposes globalThis.SiteBlockerCommitment:
+ *  - plan(prev, next, pending, now) -> { effective, changes }
+ *      prev/next: { groups, focusSites, subscriptions, keywordRules, masterHash, adminHash, groupHashes,
+ *      commitmentDelayHours } as saved / as submitted. next.masterHash and next.adminHash: new hash record, or "" when the password is not
+ *      being changed (next.adminHash null removes it). groupHashes: { groupId: hash record } of the groups
+ *      with their own unlock password.
+ *      effective is what to save now (additions and other changes applied, lowering ones held back),
+ *      changes the new pending changes. Changes already in `pending` are not queued twice.
+ *  - applyChange(data, change) -> data with the change applied (data shaped like prev)
+ *  - describe(change) -> human-readable summary
+ */
+
+(function () {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  function newChangeId() {
+    return `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function cloneGroup(g) {
+    return { ...g, sites: g.sites.slice() };
+  }
+
+  // Password changes are queued even if one is already pending; the later one wins
+  const PASSWORD_CHANGES = ["set-password", "set-admin-password", "set-group-password"];
+
+  function isException(entry) {
+    return String(entry).trim().startsWith("!");
+  }
+
+  // Keyword rules have no id; they are compared by content
+  function keywordKey(rule) {
+    return JSON.stringify(rule);
+  }
+
+  // Keys identifying what a change does, so the same change is not queued twice
+  function changeKeys(change) {
+    if (change.sites) return change.sites.map((s) => `${change.type}:${change.groupId || ""}:${s}`);
+    if (change.rules) return change.rules.map((r) => `${change.type}:${keywordKey(r)}`);
+    if (change.type === "set-delay") return [`${change.type}:${change.hours}`];
+    return [`${change.type}:${change.groupId || change.subscriptionId || ""}`];
+  }
+
+  function plan(prev, next, pending = [], now = Date.now()) {
+    const delay = (Number(prev.commitmentDelayHours) || 0) * HOUR_MS;
+    if (!delay) return { effective: next, changes: [] };
+
+    const queued = new Set(pending.flatMap(changeKeys));
+    const changes = [];
+    function add(change) {
+      const keys = changeKeys(change);
+      if (change.sites) {
+        change.sites = change.sites.filter((s, i) => !queued.has(keys[i]));
+        if (!change.sites.length) return;
+      } else if (change.rules) {
+        change.rules = change.rules.filter((r, i) => !queued.has(keys[i]));
+        if (!change.rules.length) return;
+      } else if (queued.has(keys[0]) && !PASSWORD_CHANGES.includes(change.type)) {
+        return;
+      }
+      changes.push({ id: newChangeId(), createdAt: now, applyAt: now + delay, ...change });
+    }
+
+    const groups = next.groups.map(cloneGroup);
+    const byId = new Map(groups.map((g) => [g.id, g]));
+    const prevById = new Map(prev.groups.map((g) => [g.id, g]));
+
+    // New exceptions, in new groups too, are held back until due
+    for (const group of groups) {
+      const old = prevById.get(group.id);
+      const added = group.sites.filter((s) => isException(s) && !(old && old.sites.includes(s)));
+      if (!added.length) continue;
+      add({ type: "add-exceptions", groupId: group.id, groupName: group.name, sites: added });
+      group.sites = group.sites.filter((s) => !added.includes(s));
+    }
+
+    prev.groups.forEach((old, index) => {
+      const current = byId.get(old.id);
+      if (!current) {
+        // Keep the group, in its old place, until the deletion is due
+        add({ type: "remove-group", groupId: old.id, groupName: old.name });
+        groups.splice(Math.min(index, groups.length), 0, cloneGroup(old));
+        return;
+      }
+      const removed = old.sites.filter((s) => !current.sites.includes(s));
+      if (removed.length) {
+        add({ type: "remove-entries", groupId: old.id, groupName: current.name, sites: removed });
+        current.sites.push(...removed);
+      }
+      if (old.enabled && !current.enabled) {
+        add({ type: "disable-group", groupId: old.id, groupName: current.name });
+        current.enabled = true;
+      }
+      if (old.requirePassword && !current.requirePassword) {
+        add({ type: "unprotect-group", groupId: old.id, groupName: current.name });
+        current.requirePassword = true;
+      }
+    });
+
+    const removedFocus = prev.focusSites.filter((s) => !next.focusSites.includes(s));
+    if (removedFocus.length) add({ type: "remove-focus-entries", sites: removedFocus });
+    const addedFocusExceptions = next.focusSites.filter((s) => isException(s) && !prev.focusSites.includes(s));
+    if (addedFocusExceptions.length) add({ type: "add-focus-exceptions", sites: addedFocusExceptions });
+    const focusSites = next.focusSites.filter((s) => !addedFocusExceptions.includes(s)).concat(removedFocus);
+
+    // Unsubscribed lists keep blocking until the change is due
+    const nextSubscriptions = next.subscriptions || [];
+    const subscriptions = nextSubscriptions.slice();
+    for (const old of prev.subscriptions || []) {
+      if (nextSubscriptions.some((s) => s.id === old.id)) continue;
+      add({ type: "remove-subscription", subscriptionId: old.id, url: old.url });
+      subscriptions.push(old);
+    }
+
+    // Setting the first password is not lowering protection; changing it is
+    let masterHash = next.masterHash;
+    if (prev.masterHash && next.masterHash) {
+      add({ type: "set-password", masterHash: next.masterHash });
+      masterHash = "";
+    }
+
+    // Same for the admin password; removing it lowers protection too
+    let adminHash = next.adminHash;
+    if (prev.adminHash && next.adminHash !== "") {
+      add({ type: "set-admin-password", adminHash: next.adminHash || null });
+      adminHash = "";
+    }
+
+    const nextRules = next.keywordRules || [];
+    const removedRules = (prev.keywordRules || []).filter(
+      (r) => !nextRules.some((n) => keywordKey(n) === keywordKey(r))
+    );
+    if (removedRules.length) add({ type: "remove-keyword-rules", rules: removedRules });
+    const keywordRules = nextRules.concat(removedRules);
+
+    // A group getting its own unlock password applies now; changing or dropping one waits
+    const prevHashes = prev.groupHashes || {};
+    const groupHashes = { ...(next.groupHashes || {}) };
+    for (const [groupId, hash] of Object.entries(prevHashes)) {
+      const group = groups.find((g) => g.id === groupId);
+      if (!group) continue;
+      // A group kept until its pending deletion keeps its password
+      if (!next.groups.some((g) => g.id === groupId)) {
+        groupHashes[groupId] = hash;
+        continue;
+      }
+      const wanted = groupHashes[groupId] || null;
+      if (wanted && JSON.stringify(wanted) === JSON.stringify(hash)) continue;
+      add({ type: "set-group-password", groupId, groupName: group.name, unlockHash: wanted });
+      groupHashes[groupId] = hash;
+    }
+
+    let commitmentDelayHours = next.commitmentDelayHours;
+    if (commitmentDelayHours < prev.commitmentDelayHours) {
+      add({ type: "set-delay", hours: commitmentDelayHours });
+      commitmentDelayHours = prev.commitmentDelayHours;
+    }
+
+    return {
+      effective: {
+        groups,
+        focusSites,
+        subscriptions,
+        keywordRules,
+        masterHash,
+        adminHash,
+        groupHashes,
+        commitmentDelayHours
+      },
+      changes
+    };
+  }
+
+  function applyChange(data, change) {
+    const groups = data.groups.map(cloneGroup);
+    const group = groups.find((g) => g.id === change.groupId);
+    switch (change.type) {
+      case "remove-entries":
+        if (group) group.sites = group.sites.filter((s) => !change.sites.includes(s));
+        break;
+      case "add-exceptions":
+        if (group) group.sites.push(...change.sites.filter((s) => !group.sites.includes(s)));
+        break;
+      case "disable-group":
+        if (group) group.enabled = false;
+        break;
+      case "unprotect-group":
+        if (group) group.requirePassword = false;
+        break;
+      case "remove-group": {
+        const groupHashes = { ...(data.groupHashes || {}) };
+        delete groupHashes[change.groupId];
+        return { ...data, groups: groups.filter((g) => g.id !== change.groupId), groupHashes };
+      }
+      case "remove-focus-entries":
+        return { ...data, groups, focusSites: data.focusSites.filter((s) => !change.sites.includes(s)) };
+      case "add-focus-exceptions":
+        return { ...data, groups, focusSites: data.focusSites.concat(change.sites.filter((s) => !data.focusSites.includes(s))) };
+      case "remove-keyword-rules": {
+        const removed = new Set(change.rules.map(keywordKey));
+        return { ...data, groups, keywordRules: (data.keywordRules || []).filter((r) => !removed.has(keywordKey(r))) };
+      }
+      case "remove-subscription":
+        return { ...data, groups, subscriptions: (data.subscriptions || []).filter((s) => s.id !== change.subscriptionId) };
+      case "set-password":
+        return { ...data, groups, masterHash: change.masterHash };
+      case "set-admin-password":
+        return { ...data, groups, adminHash: change.adminHash || "" };
+      case "set-group-password": {
+        const groupHashes = { ...(data.groupHashes || {}) };
+        if (change.unlockHash) groupHashes[change.groupId] = change.unlockHash;
+        else delete groupHashes[change.groupId];
+        return { ...data, groups, groupHashes };
+      }
+      case "set-delay":
+        return { ...data, groups, commitmentDelayHours: change.hours };
+    }
+    return { ...data, groups };
+  }
+
+  function describe(change) {
+    switch (change.type) {
+      case "remove-entries":
+        return `Remove ${change.sites.join(", ")} from the group "${change.groupName}"`;
+      case "remove-focus-entries":
+        return `Remove ${change.sites.join(", ")} from the focus list`;
+      case "add-exceptions":
+        return `Add the exceptions ${change.sites.join(", ")} to the group "${change.groupName}"`;
+      case "add-focus-exceptions":
+        return `Add the exceptions ${change.sites.join(", ")} to the focus list`;
+      case "disable-group":
+        return `Turn off the group "${change.groupName}"`;
+      case "remove-group":
+        return `Delete the group "${change.groupName}"`;
+      case "remove-keyword-rules":
+        return `Remove the keyword ${change.rules.length === 1 ? "rule" : "rules"} ${change.rules
+          .map((r) => `"${r.keyword}"`)
+          .join(", ")}`;
+      case "remove-subscription":
+        return `Unsubscribe from ${change.url}`;
+      case "unprotect-group":
+        return `Stop requiring the password to turn off "${change.groupName}"`;
+      case "set-password":
+        return "Change the master password";
+      case "set-admin-password":
+        return change.adminHash ? "Change the admin password" : "Remove the admin password";
+      case "set-group-password":
+        return change.unlockHash
+          ? `Change the unlock password of "${change.groupName}"`
+          : `Unlock "${change.groupName}" with the master password again`;
+      case "set-delay":
+        return change.hours ? `Shorten the commitment delay to ${change.hours} hours` : "Turn off commitment mode";
+      default:
+        return change.type;
+    }
+  }
+
+  globalThis.SiteBlockerCommitment = {
+    plan,
+    applyChange,
+    describe
+  };
+})();
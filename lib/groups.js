@@ -0,0 +1,96 @@
+"use strict";
+
+/**
+ * Named block-list groups, shared by the background worker and the options page.
+ * Stored as "blockedGroups" (in the area chosen for the blocked list):
+ *   [{ id, name, enabled, requirePassword, sites: ["facebook.com", "reddit.com @ Mon-Fri", ...] }]
+ * requirePassword: turning the group off (or deleting it) needs the master password.
+ * Older versions stored one flat "blockedSites" array; it is read as a single "Default" group.
+ *
+ * Exposes globalThis.SiteBlockerGroups:
+ *  - DEFAULT_GROUP_NAME
+ *  - newGroupId() -> unique id string
+ *  - createGroup(name, sites) -> enabled group without a password requirement
+ *  - normalizeGroups(list) -> cleaned groups (trimmed, deduplicated entries; missing fields defaulted)
+ *  - fromStorage({ blockedGroups, blockedSites }) -> groups (migrating a legacy flat list)
+ *  - enabledEntries(groups) -> entries of the enabled groups, deduplicated, in order
+ *  - validateGroups(value) -> error message or null (shape only; entries are checked by the caller)
+ */
+
+(function () {
+  const DEFAULT_GROUP_NAME = "Default";
+
+  function newGroupId() {
+    return `g-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function dedupe(list) {
+    if (!Array.isArray(list)) return [];
+    return Array.from(new Set(list.map((s) => (typeof s === "string" ? s.trim() : "")).filter(Boolean)));
+  }
+
+  function createGroup(name, sites = []) {
+    return { id: newGroupId(), name: name || DEFAULT_GROUP_NAME, enabled: true, requirePassword: false, sites: dedupe(sites) };
+  }
+
+  function normalizeGroups(list) {
+    if (!Array.isArray(list)) return [];
+    const ids = new Set();
+    const out = [];
+    for (const g of list) {
+      if (!g || typeof g !== "object") continue;
+      let id = typeof g.id === "string" && g.id ? g.id : newGroupId();
+      if (ids.has(id)) id = newGroupId();
+      ids.add(id);
+      out.push({
+        id,
+        name: (typeof g.name === "string" && g.name.trim()) || DEFAULT_GROUP_NAME,
+        enabled: g.enabled !== false,
+        requirePassword: g.requirePassword === true,
+        sites: dedupe(g.sites)
+      });
+    }
+    return out;
+  }
+
+  function fromStorage(items) {
+    const { blockedGroups, blockedSites } = items || {};
+    if (Array.isArray(blockedGroups)) return normalizeGroups(blockedGroups);
+    const legacy = dedupe(blockedSites);
+    return legacy.length ? [createGroup(DEFAULT_GROUP_NAME, legacy)] : [];
+  }
+
+  function enabledEntries(groups) {
+    const out = [];
+    for (const g of groups || []) {
+      if (g.enabled) out.push(...g.sites);
+    }
+    return dedupe(out);
+  }
+
+  function validateGroups(value) {
+    if (!Array.isArray(value)) return "Groups must be a list.";
+    for (const g of value) {
+      if (!g || typeof g !== "object") return "Invalid group.";
+      if (typeof g.name !== "string" || !g.name.trim()) return "Every group needs a name.";
+      if (!Array.isArray(g.sites) || g.sites.some((s) => typeof s !== "string")) {
+        return `Invalid entries in group "${g.name}".`;
+      }
+      if ("enabled" in g && typeof g.enabled !== "boolean") return `Invalid "enabled" value in group "${g.name}".`;
+      if ("requirePassword" in g && typeof g.requirePassword !== "boolean") {
+        return `Invalid "requirePassword" value in group "${g.name}".`;
+      }
+    }
+    return null;
+  }
+
+  globalThis.SiteBlockerGroups = {
+    DEFAULT_GROUP_NAME,
+    newGroupId,
+    createGroup,
+    normalizeGroups,
+    fromStorage,
+    enabledEntries,
+    validateGroups
+  };
+})();
@@ -0,0 +1,292 @@
+"use strict";
+
+/**
+ * Block lists published in other formats, turned into entries of our pattern syntax (see lib/matcher.js).
+ * Used by the options page ("Import a block list") and for subscribed lists (lib/subscriptions.js).
+ * A listed host never becomes a plain domain entry: those also match any host containing the name (so
+ * "t.co" would block reddit.com), which no list means. It becomes a wildcard entry ("*.example.com", the host
+ * and its subdomains) or, from a hosts file, an exact-host entry.
+ *
+ * Formats:
+ *  - "hosts"    /etc/hosts style: "0.0.0.0 example.com" (any IP, several hosts per line allowed). A hosts file
+ *               blocks exactly the listed host, so each becomes an exact-host entry ("=example.com").
+ *               Bare host names (domain-only lists) become wildcard entries. localhost and similar
+ *               boilerplate lines are skipped.
+ *  - "adblock"  Adblock Plus / uBlock network rules:
+ *                 "||example.com^"        -> "*.example.com"        (host and subdomains)
+ *                 "||example.com/path"    -> "example.com/path"     (substring)
+ *                 "|https://example.com/" -> "https://example.com/" (prefix)
+ *                 "|https://x.com/|"      -> regex anchored at both ends
+ *                 "@@||example.com^"      -> "!*.example.com"       (exception)
+ *                 "example.com"           -> "*.example.com"        (domain-only lists)
+ *                 "/regex/"               -> kept
+ *                 "example.com##.feed"    -> kept (cosmetic entry)
+ *               Options other than $document/$all/$important (resource types, third-party, ...), element
+ *               hiding rules without sites ("##.ad"), other cosmetic rules ("#@#", "#?#", ...) and wildcards
+ *               inside a rule are rejected.
+ *  - "csv"      one entry per row, in the first column, or in the column headed domain/host/site/url/
+ *               pattern/entry when the first row is a header. Comma, semicolon or tab separated. Host names
+ *               become wildcard entries; other cells are taken as entries of our syntax.
+ * Comment lines ("#" in hosts and CSV, "!" and "[Adblock ...]" in adblock lists) and blank lines are skipped.
+ *
+ * Exposes globalThis.SiteBlockerImporters:
+ *  - FORMATS -> ["hosts", "adblock", "csv"]
+ *  - detectFormat(text, fileName = "") -> one of FORMATS
+ *  - parseList(text, format, validate = SiteBlockerMatch.validatePattern) ->
+ *      { entries, kept, converted, rejected, duplicates, rejects: [{ line, text, reason }] }
+ *    kept: lines already in our syntax; converted: lines rewritten into it; rejected: unsupported or invalid
+ *    lines (validate(entry) returns an error message or null). entries are deduplicated, in file order.
+ */
+
+(function () {
+  const FORMATS = ["hosts", "adblock", "csv"];
+
+  const HOST_RE = /^(?=.{1,253}$)[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9_])?(?:\.[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9_])?)*$/i;
+  const IPV4_RE = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+  const IPV6_RE = /^[0-9a-f]*:[0-9a-f:.]*$/i;
+  // Found in nearly every hosts file; not something anyone means to block
+  const HOSTS_BOILERPLATE = new Set([
+    "localhost",
+    "localhost.localdomain",
+    "local",
+    "broadcasthost",
+    "ip6-localhost",
+    "ip6-loopback",
+    "ip6-localnet",
+    "ip6-mcastprefix",
+    "ip6-allnodes",
+    "ip6-allrouters",
+    "ip6-allhosts",
+    "0.0.0.0"
+  ]);
+  const ADBLOCK_OPTIONS = new Set(["document", "doc", "all", "important"]);
+  const CSV_COLUMNS = ["domain", "host", "hostname", "site", "url", "pattern", "entry"];
+
+  function isHost(text) {
+    return HOST_RE.test(text) && !IPV4_RE.test(text);
+  }
+
+  function isIp(text) {
+    return IPV4_RE.test(text) || IPV6_RE.test(text);
+  }
+
+  // Host and subdomains, without the loose "contains" match of a domain entry
+  function hostEntry(host) {
+    return `*.${host}`;
+  }
+
+  function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+  }
+
+  // ------- Detection -------
+
+  function detectFormat(text, fileName = "") {
+    if (/\.csv$/i.test(fileName)) return "csv";
+    const lines = String(text || "")
+      .split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter(Boolean)
+      .slice(0, 200);
+    let hosts = 0;
+    let adblock = 0;
+    let csv = 0;
+    for (const line of lines) {
+      if (/^\[adblock/i.test(line) || /^(?:@@)?\|\|/.test(line) || line.startsWith("!") || line.includes("##")) adblock++;
+      else if (isIp(line.split(/\s+/)[0]) && /\s/.test(line)) hosts++;
+      else if (/[,;\t]/.test(line)) csv++;
+    }
+    if (adblock > hosts && adblock >= csv) return "adblock";
+    if (hosts >= csv && hosts > 0) return "hosts";
+    return "csv";
+  }
+
+  // ------- Per-format line conversion -------
+  // Each returns [{ entry, converted }] for the line, null for a comment, or { reason } for a rejected line
+
+  function convertHostsLine(line) {
+    const text = line.replace(/#.*$/, "").trim();
+    if (!text) return null;
+    const tokens = text.split(/\s+/);
+    if (tokens.length === 1) {
+      const host = tokens[0].toLowerCase();
+      return isHost(host) ? [{ entry: hostEntry(host), converted: true }] : { reason: "Not a host name." };
+    }
+    if (!isIp(tokens[0])) return { reason: "Expected an IP address followed by host names." };
+    const out = [];
+    for (const raw of tokens.slice(1)) {
+      const host = raw.toLowerCase();
+      if (HOSTS_BOILERPLATE.has(host)) continue;
+      if (!isHost(host)) return { reason: `"${raw}" is not a host name.` };
+      out.push({ entry: `=${host}`, converted: true });
+    }
+    return out.length ? out : null;
+  }
+
+  function convertAdblockLine(line) {
+    const text = line.trim();
+    if (!text || text.startsWith("!") || /^\[adblock/i.test(text)) return null;
+    // Plain element hiding rules are our cosmetic entries; exceptions, procedural and scriptlet rules are not
+    if (/#[@?$%]+#/.test(text)) return { reason: "Only element hiding rules (\"##\") are supported." };
+    const hiding = text.indexOf("##");
+    if (hiding === 0) return { reason: "Element hiding rules need the sites they apply to." };
+    if (hiding !== -1) return [{ entry: text, converted: false }];
+
+    let rule = text;
+    const exception = rule.startsWith("@@");
+    if (exception) rule = rule.slice(2);
+    const prefix = exception ? "!" : "";
+
+    // Regex rules use the same syntax as ours
+    if (rule.length > 2 && rule.startsWith("/") && rule.endsWith("/")) {
+      return [{ entry: `${prefix}${rule}`, converted: exception }];
+    }
+
+    const dollar = rule.lastIndexOf("$");
+    if (dollar !== -1) {
+      const options = rule.slice(dollar + 1).split(",").map((o) => o.trim().toLowerCase());
+      const unsupported = options.find((o) => !ADBLOCK_OPTIONS.has(o));
+      if (unsupported) return { reason: `The option "$${unsupported}" is not supported.` };
+      rule = rule.slice(0, dollar);
+    }
+
+    if (rule.startsWith("||")) {
+      const body = rule.slice(2).replace(/\^\|?$/, "");
+      if (!body || /[*^|]/.test(body)) return { reason: "Wildcards and separators inside a rule are not supported." };
+      const slash = body.indexOf("/");
+      const host = (slash === -1 ? body : body.slice(0, slash)).toLowerCase();
+      if (!isHost(host)) return { reason: "Not a host name." };
+      if (slash === -1) return [{ entry: `${prefix}${hostEntry(host)}`, converted: true }];
+      return [{ entry: `${prefix}${host}${body.slice(slash)}`, converted: true }];
+    }
+
+    if (rule.startsWith("|")) {
+      const anchoredEnd = rule.length > 1 && rule.endsWith("|");
+      const body = rule.slice(1, anchoredEnd ? -1 : undefined).replace(/\^$/, "");
+      if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(body)) return { reason: "Only rules anchored at a full address are supported." };
+      if (/[*^|]/.test(body)) return { reason: "Wildcards and separators inside a rule are not supported." };
+      const entry = anchoredEnd ? `/^${escapeRegex(body)}$/` : body;
+      return [{ entry: `${prefix}${entry}`, converted: true }];
+    }
+
+    // A bare host name (domain-only lists)
+    const host = rule.replace(/\^$/, "").toLowerCase();
+    if (isHost(host)) return [{ entry: `${prefix}${hostEntry(host)}`, converted: true }];
+    return { reason: "Unsupported rule." };
+  }
+
+  // Splits one CSV row; quoted cells may contain the delimiter and doubled quotes
+  function splitCsvRow(line, delimiter) {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"' && !cell.trim()) {
+        quoted = true;
+        cell = "";
+      } else if (ch === delimiter) {
+        cells.push(cell.trim());
+        cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  function csvDelimiter(lines) {
+    const sample = lines.find((l) => l.trim() && !l.trim().startsWith("#")) || "";
+    let best = ",";
+    let bestCount = 0;
+    for (const d of [",", ";", "\t"]) {
+      const count = sample.split(d).length - 1;
+      if (count > bestCount) {
+        best = d;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+
+  // ------- Parsing -------
+
+  function parseList(text, format, validate = SiteBlockerMatch.validatePattern) {
+    const lines = String(text || "").split(/\r?\n/);
+    const result = { entries: [], kept: 0, converted: 0, rejected: 0, duplicates: 0, rejects: [] };
+    const seen = new Set();
+
+    function reject(index, line, reason) {
+      result.rejected++;
+      result.rejects.push({ line: index + 1, text: line.trim(), reason });
+    }
+
+    let convertLine = format === "hosts" ? convertHostsLine : convertAdblockLine;
+    if (format === "csv") {
+      const delimiter = csvDelimiter(lines);
+      let column = 0;
+      let headerIndex = -1;
+      const first = lines.findIndex((l) => l.trim() && !l.trim().startsWith("#"));
+      if (first !== -1) {
+        const header = splitCsvRow(lines[first], delimiter).map((c) => c.toLowerCase());
+        const named = header.findIndex((c) => CSV_COLUMNS.includes(c));
+        if (named !== -1) {
+          column = named;
+          headerIndex = first;
+        }
+      }
+      convertLine = (line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith("#") || index === headerIndex) return null;
+        const cells = splitCsvRow(trimmed, delimiter);
+        const cell = cells[column] || "";
+        if (!cell) return cells.some(Boolean) ? { reason: "The entry column is empty." } : null;
+        const entry = isHost(cell) ? hostEntry(cell.toLowerCase()) : cell;
+        return [{ entry, converted: entry !== trimmed }];
+      };
+    } else if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown list format "${format}".`);
+    }
+
+    lines.forEach((line, index) => {
+      const converted = convertLine(line, index);
+      if (converted === null) return;
+      if (!Array.isArray(converted)) {
+        reject(index, line, converted.reason);
+        return;
+      }
+      for (const { entry, converted: rewritten } of converted) {
+        const error = validate(entry);
+        if (error) {
+          reject(index, line, error);
+          continue;
+        }
+        if (seen.has(entry)) {
+          result.duplicates++;
+          continue;
+        }
+        seen.add(entry);
+        result.entries.push(entry);
+        if (rewritten) result.converted++;
+        else result.kept++;
+      }
+    });
+    return result;
+  }
+
+  globalThis.SiteBlockerImporters = {
+    FORMATS,
+    detectFormat,
+    parseList
+  };
+})();
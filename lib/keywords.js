@@ -0,0 +1,164 @@
+"use strict";
+
+/**
+ * Keyword rules: block pages by what they are about rather than where they are. Shared by the options
+ * page, the background worker (which passes them to content scripts in the verdict cache) and the
+ * content script (which evaluates them and asks for the overlay).
+ *
+ * Stored as "keywordRules" (in the area chosen for the blocked list):
+ *   [{ keyword, matchCase, wholeWord, query, title, text }]
+ *  - keyword    words to look for; runs of spaces match any whitespace
+ *  - matchCase  only match with the same upper/lower case
+ *  - wholeWord  only match whole words ("cat" does not match "category")
+ *  - query      look in the search terms of the major search engines and video sites (decoded from the URL)
+ *  - title      look in the page title (document.title, also when it changes later)
+ *  - text       look in the visible text of the page (optional; read after the page has loaded)
+ * A rule is identified by its content: changing any field is removing the old rule and adding a new one.
+ *
+ * Exposes globalThis.SiteBlockerKeywords:
+ *  - TARGETS -> ["query", "title", "text"]
+ *  - normalizeRules(list) -> cleaned rules (trimmed keyword, boolean options, deduplicated; rules without
+ *    a keyword or without any target dropped)
+ *  - validateRules(value) -> error message or null
+ *  - ruleKey(rule) -> string identifying the rule
+ *  - describeRule(rule) -> human-readable summary, e.g. "gossip" (whole word; searches, titles)
+ *  - searchTerms(url) -> decoded search terms found in the URL (empty for other sites)
+ *  - compile(rules) -> [{ rule, regex }] ready for findMatch
+ *  - findMatch(compiled, target, text) -> first rule for that target whose keyword occurs in text, or null
+ */
+
+(function () {
+  const TARGETS = ["query", "title", "text"];
+  const TARGET_NAMES = { query: "searches", title: "titles", text: "page text" };
+
+  // Where the search terms are: query parameters, or a path segment for sites that put them there
+  const SEARCH_SOURCES = [
+    { host: /(^|\.)google\.[a-z]{2,3}(\.[a-z]{2})?$/, params: ["q"] },
+    { host: /(^|\.)bing\.com$/, params: ["q"] },
+    { host: /(^|\.)duckduckgo\.com$/, params: ["q"] },
+    { host: /(^|\.)search\.yahoo\.com$/, params: ["p"] },
+    { host: /(^|\.)yandex\.[a-z]{2,3}$/, params: ["text"] },
+    { host: /(^|\.)baidu\.com$/, params: ["wd", "word"] },
+    { host: /(^|\.)ecosia\.org$/, params: ["q"] },
+    { host: /(^|\.)startpage\.com$/, params: ["query", "q"] },
+    { host: /(^|\.)search\.brave\.com$/, params: ["q"] },
+    { host: /(^|\.)youtube\.com$/, params: ["search_query", "q"] },
+    { host: /(^|\.)vimeo\.com$/, params: ["q"] },
+    { host: /(^|\.)dailymotion\.com$/, params: ["q"], path: /^\/search\/([^/]+)/ },
+    { host: /(^|\.)twitch\.tv$/, params: ["term"] },
+    { host: /(^|\.)tiktok\.com$/, params: ["q"] },
+    { host: /(^|\.)reddit\.com$/, params: ["q"] }
+  ];
+
+  function normalizeRules(list) {
+    if (!Array.isArray(list)) return [];
+    const seen = new Set();
+    const out = [];
+    for (const r of list) {
+      if (!r || typeof r !== "object" || typeof r.keyword !== "string") continue;
+      const rule = {
+        keyword: r.keyword.trim().replace(/\s+/g, " "),
+        matchCase: r.matchCase === true,
+        wholeWord: r.wholeWord === true,
+        query: r.query === true,
+        title: r.title === true,
+        text: r.text === true
+      };
+      if (!rule.keyword || !TARGETS.some((t) => rule[t])) continue;
+      const key = ruleKey(rule);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(rule);
+    }
+    return out;
+  }
+
+  function validateRules(value) {
+    if (!Array.isArray(value)) return "Keyword rules must be a list.";
+    for (const r of value) {
+      if (!r || typeof r !== "object" || typeof r.keyword !== "string" || !r.keyword.trim()) {
+        return "Every keyword rule needs a keyword.";
+      }
+      for (const option of ["matchCase", "wholeWord", ...TARGETS]) {
+        if (option in r && typeof r[option] !== "boolean") return `Invalid "${option}" value in keyword rule "${r.keyword}".`;
+      }
+      if (!TARGETS.some((t) => r[t] === true)) return `The keyword rule "${r.keyword}" does not look anywhere.`;
+    }
+    return null;
+  }
+
+  function ruleKey(rule) {
+    return JSON.stringify([rule.keyword, rule.matchCase, rule.wholeWord, rule.query, rule.title, rule.text]);
+  }
+
+  function describeRule(rule) {
+    const options = [];
+    if (rule.matchCase) options.push("match case");
+    if (rule.wholeWord) options.push("whole word");
+    const where = TARGETS.filter((t) => rule[t]).map((t) => TARGET_NAMES[t]);
+    return `"${rule.keyword}" (${options.concat(where.join(", ")).join("; ")})`;
+  }
+
+  function decode(text) {
+    try {
+      return decodeURIComponent(text.replace(/\+/g, " "));
+    } catch {
+      return text;
+    }
+  }
+
+  function searchTerms(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return [];
+    }
+    const host = parsed.hostname.toLowerCase();
+    const terms = [];
+    for (const source of SEARCH_SOURCES) {
+      if (!source.host.test(host)) continue;
+      for (const param of source.params) {
+        // searchParams decodes "+" and percent escapes already
+        for (const value of parsed.searchParams.getAll(param)) {
+          if (value.trim()) terms.push(value);
+        }
+      }
+      const path = source.path && parsed.pathname.match(source.path);
+      if (path) terms.push(decode(path[1]));
+    }
+    return terms;
+  }
+
+  function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  function compile(rules) {
+    return normalizeRules(rules).map((rule) => {
+      let source = rule.keyword.split(" ").map(escapeRegex).join("\\s+");
+      // \b only knows ASCII letters; these lookarounds treat any letter or digit as part of a word
+      if (rule.wholeWord) source = `(?<![\\p{L}\\p{N}_])${source}(?![\\p{L}\\p{N}_])`;
+      return { rule, regex: new RegExp(source, rule.matchCase ? "u" : "iu") };
+    });
+  }
+
+  function findMatch(compiled, target, text) {
+    if (!text) return null;
+    for (const { rule, regex } of compiled) {
+      if (rule[target] && regex.test(text)) return rule;
+    }
+    return null;
+  }
+
+  globalThis.SiteBlockerKeywords = {
+    TARGETS,
+    normalizeRules,
+    validateRules,
+    ruleKey,
+    describeRule,
+    searchTerms,
+    compile,
+    findMatch
+  };
+})();
@@ -0,0 +1,430 @@
+"use strict";
+
+/**
+ * Block-list pattern matching, shared by the background worker and the options page.
+ * Pattern syntax (one per line, schedules already stripped — see lib/schedule.js):
+ *  - "facebook.com"           domain: the host, its subdomains, and (legacy) any host containing it
+ *  - "*.example.com"          wildcard: the host and its subdomains only, without the loose fallback
+ *  - "=example.com"           exact host: only that host, no subdomains, no loose fallback
+ *  - "https://site.com/page"  prefix match on the full URL
+ *  - "example.com/path"       substring match on the full URL
+ *  - "/^https:\/\/x\.com\/(home)?$/"  regex, tested case-insensitively against the full URL
+ *  - "!music.youtube.com"     exception: any of the above prefixed with "!" allows matching URLs
+ *  - "youtube.com##ytd-rich-grid-renderer"  cosmetic: hides the elements matching the CSS selector on
+ *                             the listed hosts (comma-separated) and their subdomains; never blocks a URL
+ *
+ * Actions: a block entry may end with " => " and what to do instead of the password overlay ("lock"):
+ *  - "reddit.com => redirect https://todo.example/"  send the tab to that address
+ *  - "news.example => warn"   overlay with a "Continue anyway" button that unlocks after a delay, no password
+ *  - "x.com => close"         close the tab
+ *  - "tiktok.com => hard"     overlay without any unlock, not even with the password
+ *  - "reddit.com => typing"   overlay that unlocks after a challenge instead of the password: "typing"
+ *                             (type a random passage), "countdown" (wait) or "math" (solve problems); see
+ *                             blocker/challenges.js
+ *
+ * Precedence: an exception that matches always wins over every block entry, however specific
+ * the block entry is. Otherwise a URL is blocked if any block entry matches, with the strictest action
+ * among the matching entries (hard, close, redirect, challenge, lock, warn, in that order).
+ *
+ * Exposes globalThis.SiteBlockerMatch:
+ *  - ACTIONS -> action types, least strict first
+ *  - CHALLENGE_TYPES -> the challenges an entry can ask for
+ *  - RULE_TYPE_LABELS -> { rule type: name shown for it } for the types matchPattern returns (URL tester, popup)
+ *  - parsePattern(raw) -> { raw, exception, kind, value, regex, action, error } (cosmetic entries add hosts;
+ *    value is the selector). action: { type, url, challenge } (url only for "redirect", challenge
+ *    only for "challenge")
+ *  - splitAction(text) -> { pattern, action, error }: the entry without its " => action" suffix
+ *  - strictestAction(matches) -> action of the strictest block entry among explainUrl matches
+ *  - describeAction(action) -> short description, e.g. "redirect to https://todo.example/"
+ *  - validatePattern(raw) -> error message or null
+ *  - matchPattern(parsed, url) -> rule type ("domain", "wildcard", "fallback", "exact",
+ *    "prefix", "substring", "regex") or null
+ *  - explainUrl(url, patterns) -> { blocked, matches: [{ index, pattern, exception, type, action }] }
+ *  - isUrlBlocked(url, patterns) -> explainUrl(url, patterns).blocked
+ *  - findShadowedEntries(patterns) -> [{ index, other, reason: "duplicate" | "shadowed" | "excepted" }]
+ *  - toRegexFilter(parsed) -> RE2 regex matching the whole URL (for declarativeNetRequest; not for cosmetic
+ *    entries)
+ *  - cosmeticSelectors(url, patterns) -> CSS selectors of the cosmetic entries for the URL's host
+ */
+
+(function () {
+  function getHost(url) {
+    try {
+      return new URL(url).hostname || "";
+    } catch {
+      return "";
+    }
+  }
+
+  const COSMETIC_HOST_RE = /^(?:\*\.)?[a-z0-9_-]+(?:\.[a-z0-9_-]+)*$/;
+
+  // "a.com,b.org##selector": the selector goes into a style sheet, so nothing that could end its rule
+  function parseCosmetic(parsed, text, separator) {
+    parsed.kind = "cosmetic";
+    parsed.hosts = text
+      .slice(0, separator)
+      .split(",")
+      .map((h) => h.trim().toLowerCase());
+    parsed.value = text.slice(separator + 2).trim();
+    if (parsed.exception) {
+      parsed.error = "Cosmetic entries cannot be exceptions.";
+    } else if (!parsed.hosts.every((h) => COSMETIC_HOST_RE.test(h))) {
+      parsed.error = "Cosmetic entries need the host names before \"##\" (e.g. youtube.com##ytd-rich-grid-renderer).";
+    } else if (!parsed.value) {
+      parsed.error = "Cosmetic entries need a CSS selector after \"##\".";
+    } else if (/[{}]|\/\*/.test(parsed.value) || parsed.value.startsWith("@")) {
+      parsed.error = "Cosmetic selectors cannot contain \"{\", \"}\" or \"/*\", or start with \"@\".";
+    } else if (typeof document !== "undefined") {
+      // Where there is a DOM (options page, content scripts) the selector syntax is checked too
+      try {
+        document.createDocumentFragment().querySelector(parsed.value);
+      } catch {
+        parsed.error = `Invalid CSS selector "${parsed.value}".`;
+      }
+    }
+    parsed.hosts = parsed.hosts.map((h) => h.replace(/^\*\./, ""));
+    return parsed;
+  }
+
+  const ACTIONS = ["warn", "lock", "challenge", "redirect", "close", "hard"];
+  const CHALLENGE_TYPES = ["typing", "countdown", "math"];
+
+  const RULE_TYPE_LABELS = {
+    domain: "domain",
+    wildcard: "wildcard",
+    exact: "exact host",
+    prefix: "URL prefix",
+    substring: "substring",
+    fallback: "loose host fallback",
+    regex: "regex"
+  };
+  const DEFAULT_ACTION = { type: "lock" };
+  const ACTION_HELP = "redirect <address>, warn, close, hard, typing, countdown or math";
+
+  function splitAction(text) {
+    const t = (text || "").trim();
+    const m = t.match(/^(.*?)\s+=>\s*(.*)$/);
+    if (!m) return { pattern: t, action: DEFAULT_ACTION, error: null };
+
+    const result = { pattern: m[1], action: DEFAULT_ACTION, error: null };
+    const [name = "", ...args] = m[2].split(/\s+/).filter(Boolean);
+    const type = name.toLowerCase();
+    if (CHALLENGE_TYPES.includes(type)) {
+      if (args.length) result.error = `The "${type}" challenge does not take an address.`;
+      else result.action = { type: "challenge", challenge: type };
+    } else if (!type) {
+      result.error = `Missing action after "=>" (${ACTION_HELP}).`;
+    } else if (!ACTIONS.includes(type)) {
+      result.error = `Unknown action "${name}" (use ${ACTION_HELP}).`;
+    } else if (type === "redirect") {
+      let url = null;
+      try {
+        url = args.length === 1 ? new URL(args[0]) : null;
+      } catch {
+        // reported below
+      }
+      if (!url || (url.protocol !== "https:" && url.protocol !== "http:")) {
+        result.error = "Redirects need the full address to go to (e.g. => redirect https://example.com/).";
+      } else {
+        result.action = { type, url: args[0] };
+      }
+    } else if (args.length) {
+      result.error = `The "${type}" action does not take an address.`;
+    } else {
+      result.action = { type };
+    }
+    return result;
+  }
+
+  function actionRank(action) {
+    return ACTIONS.indexOf(action.type);
+  }
+
+  function strictestAction(matches) {
+    let strictest = null;
+    for (const m of matches || []) {
+      if (m.exception || !m.action) continue;
+      if (!strictest || actionRank(m.action) > actionRank(strictest)) strictest = m.action;
+    }
+    return strictest || DEFAULT_ACTION;
+  }
+
+  function describeAction(action) {
+    switch (action && action.type) {
+      case "warn":
+        return "warning";
+      case "redirect":
+        return `redirect to ${action.url}`;
+      case "close":
+        return "close the tab";
+      case "hard":
+        return "hard block";
+      case "challenge":
+        return `${action.challenge} challenge`;
+      default:
+        return "password overlay";
+    }
+  }
+
+  function parsePattern(raw) {
+    const { pattern, action, error } = splitAction(raw);
+    const parsed = parseTarget(pattern);
+    parsed.raw = (raw || "").trim();
+    parsed.action = action;
+    if (parsed.error) return parsed;
+    if (error) {
+      parsed.error = error;
+    } else if (action.type !== "lock" && parsed.exception) {
+      parsed.error = "Exceptions cannot have an action.";
+    } else if (action.type !== "lock" && parsed.kind === "cosmetic") {
+      parsed.error = "Cosmetic entries cannot have an action.";
+    }
+    return parsed;
+  }
+
+  // The entry without its action
+  function parseTarget(raw) {
+    let text = (raw || "").trim();
+    const exception = text.startsWith("!");
+    if (exception) text = text.slice(1).trim();
+
+    const parsed = { raw: (raw || "").trim(), exception, kind: "", value: "", regex: null, error: null };
+
+    if (!text) {
+      parsed.error = exception ? "Exception is missing a pattern." : "Empty pattern.";
+      return parsed;
+    }
+    if (text.startsWith("!")) {
+      parsed.error = "Only one \"!\" is allowed.";
+      return parsed;
+    }
+
+    // "/.../" (at least one character between the slashes) is a regex
+    if (text.length > 2 && text.startsWith("/") && text.endsWith("/")) {
+      parsed.kind = "regex";
+      parsed.value = text.slice(1, -1);
+      try {
+        parsed.regex = new RegExp(parsed.value, "i");
+      } catch (err) {
+        parsed.error = `Invalid regex: ${err.message}`;
+      }
+      return parsed;
+    }
+
+    const separator = text.indexOf("##");
+    if (separator !== -1) return parseCosmetic(parsed, text, separator);
+
+    const lower = text.toLowerCase();
+
+    if (lower.startsWith("=")) {
+      parsed.kind = "exact";
+      parsed.value = lower.slice(1).trim();
+      if (!parsed.value || /[\/\s*]/.test(parsed.value)) {
+        parsed.error = "Exact-host entries need a plain host name (e.g. =example.com).";
+      }
+      return parsed;
+    }
+
+    if (lower.startsWith("http://") || lower.startsWith("https://")) {
+      parsed.kind = "prefix";
+      parsed.value = lower;
+      return parsed;
+    }
+
+    if (lower.includes("/")) {
+      parsed.kind = "substring";
+      parsed.value = lower;
+      return parsed;
+    }
+
+    parsed.kind = lower.startsWith("*.") ? "wildcard" : "domain";
+    parsed.value = lower.replace(/^\*\./, "");
+    if (!parsed.value || parsed.value.includes("*")) {
+      parsed.error = "Wildcards are only supported as a leading \"*.\" (e.g. *.example.com).";
+    }
+    return parsed;
+  }
+
+  function validatePattern(raw) {
+    return parsePattern(raw).error;
+  }
+
+  function matchParts(parsed, url, href, host) {
+    if (parsed.error) return null;
+    switch (parsed.kind) {
+      case "cosmetic":
+        return null;
+      case "regex":
+        return parsed.regex.test(url) ? "regex" : null;
+      case "exact":
+        return host === parsed.value ? "exact" : null;
+      case "prefix":
+        return href.startsWith(parsed.value) ? "prefix" : null;
+      case "substring":
+        return href.includes(parsed.value) ? "substring" : null;
+      case "wildcard":
+        return host === parsed.value || host.endsWith("." + parsed.value) ? "wildcard" : null;
+      default:
+        if (host === parsed.value || host.endsWith("." + parsed.value)) return parsed.kind;
+        return host.includes(parsed.value) ? "fallback" : null;
+    }
+  }
+
+  function matchPattern(parsed, url) {
+    const href = (url || "").toLowerCase();
+    const host = getHost(url).toLowerCase();
+    if (!href || !host) return null;
+    return matchParts(parsed, url, href, host);
+  }
+
+  function explainUrl(url, patterns) {
+    const href = (url || "").toLowerCase();
+    const host = getHost(url).toLowerCase();
+    const matches = [];
+    if (!href || !host) return { blocked: false, matches };
+
+    (patterns || []).forEach((raw, index) => {
+      const parsed = parsePattern(raw);
+      const type = matchParts(parsed, url, href, host);
+      if (type) matches.push({ index, pattern: parsed.raw, exception: parsed.exception, type, action: parsed.action });
+    });
+
+    // Exceptions win over every block entry
+    const blocked = matches.some((m) => !m.exception) && !matches.some((m) => m.exception);
+    return { blocked, matches };
+  }
+
+  function isUrlBlocked(url, patterns) {
+    return explainUrl(url, patterns).blocked;
+  }
+
+  // Host a prefix entry is limited to, if the prefix runs past the host ("https://a.com/x" -> "a.com")
+  function prefixHost(value) {
+    const m = value.match(/^https?:\/\/([^/?#]+)[/?#]/);
+    return m ? m[1].replace(/:\d+$/, "") : "";
+  }
+
+  /**
+   * True when every URL matched by `inner` is also matched by `outer` (conservative: false when unsure).
+   * Domain entries match any host containing their value (the legacy fallback); wildcard entries only the
+   * host and its subdomains.
+   */
+  function covers(outer, inner) {
+    const hostKinds = ["domain", "wildcard"];
+    if (outer.kind === "domain") {
+      if (hostKinds.includes(inner.kind) || inner.kind === "exact") return inner.value.includes(outer.value);
+      if (inner.kind === "prefix") {
+        const host = prefixHost(inner.value);
+        return host !== "" && host.includes(outer.value);
+      }
+      return false;
+    }
+    if (outer.kind === "wildcard") {
+      const within = (host) => host === outer.value || host.endsWith("." + outer.value);
+      if (inner.kind === "wildcard" || inner.kind === "exact") return within(inner.value);
+      if (inner.kind === "prefix") return within(prefixHost(inner.value));
+      return false;
+    }
+    if (outer.kind === "exact") return inner.kind === "exact" && inner.value === outer.value;
+    if (outer.kind === "prefix") return inner.kind === "prefix" && inner.value.startsWith(outer.value);
+    if (outer.kind === "substring") {
+      return (inner.kind === "substring" || inner.kind === "prefix") && inner.value.includes(outer.value);
+    }
+    if (outer.kind === "regex") return inner.kind === "regex" && inner.value === outer.value;
+    return false;
+  }
+
+  function sameRule(a, b) {
+    if (a.kind === "cosmetic" && b.kind === "cosmetic" && a.hosts.join(",") !== b.hosts.join(",")) return false;
+    if (a.action.type !== b.action.type || a.action.url !== b.action.url || a.action.challenge !== b.action.challenge) {
+      return false;
+    }
+    return a.exception === b.exception && a.kind === b.kind && a.value === b.value;
+  }
+
+  function findShadowedEntries(patterns) {
+    const parsed = (patterns || []).map(parsePattern);
+    const warnings = [];
+    parsed.forEach((inner, index) => {
+      if (inner.error) return;
+      for (let other = 0; other < parsed.length; other++) {
+        const outer = parsed[other];
+        if (other === index || outer.error) continue;
+        if (sameRule(inner, outer)) {
+          // Report only the later copy of a duplicate
+          if (other < index) {
+            warnings.push({ index, other, reason: "duplicate" });
+            return;
+          }
+          continue;
+        }
+        if (!covers(outer, inner)) continue;
+        // A narrower entry with a stricter action still decides what happens on its pages
+        if (!inner.exception && !outer.exception && actionRank(outer.action) < actionRank(inner.action)) continue;
+        if (outer.exception === inner.exception) {
+          warnings.push({ index, other, reason: "shadowed" });
+          return;
+        }
+        if (outer.exception) {
+          warnings.push({ index, other, reason: "excepted" });
+          return;
+        }
+      }
+    });
+    return warnings;
+  }
+
+  function escapeRegex(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  function toRegexFilter(parsed) {
+    switch (parsed.kind) {
+      case "regex":
+        // Leading ".*" lets unanchored regexes match anywhere while still spanning the whole URL
+        return `^.*(?:${parsed.value}).*`;
+      case "exact":
+        return `^https?://${escapeRegex(parsed.value)}(:[0-9]+)?([/?#].*)?$`;
+      case "wildcard":
+        return `^https?://([^/?#]*\\.)?${escapeRegex(parsed.value)}(:[0-9]+)?([/?#].*)?$`;
+      case "prefix":
+        return `^${escapeRegex(parsed.value)}.*`;
+      case "substring":
+        return `^https?://.*${escapeRegex(parsed.value)}.*`;
+      default:
+        // Host contains the domain: covers the exact, subdomain and fallback cases
+        return `^https?://[^/?#]*${escapeRegex(parsed.value)}.*`;
+    }
+  }
+
+  function cosmeticSelectors(url, patterns) {
+    const host = getHost(url).toLowerCase();
+    if (!host) return [];
+    const selectors = [];
+    for (const raw of patterns || []) {
+      if (!raw.includes("##")) continue;
+      const parsed = parsePattern(raw);
+      if (parsed.error || parsed.kind !== "cosmetic") continue;
+      if (!parsed.hosts.some((h) => host === h || host.endsWith("." + h))) continue;
+      if (!selectors.includes(parsed.value)) selectors.push(parsed.value);
+    }
+    return selectors;
+  }
+
+  globalThis.SiteBlockerMatch = {
+    ACTIONS,
+    CHALLENGE_TYPES,
+    RULE_TYPE_LABELS,
+    parsePattern,
+    splitAction,
+    strictestAction,
+    describeAction,
+    validatePattern,
+    matchPattern,
+    explainUrl,
+    isUrlBlocked,
+    findShadowedEntries,
+    toRegexFilter,
+    cosmeticSelectors
+  };
+})();
@@ -0,0 +1,131 @@
+"use strict";
+
+/**
+ * Master password hashing (WebCrypto).
+ * New hashes are salted PBKDF2-SHA-256 records:
+ *   { algo: "pbkdf2-sha256", iterations: 600000, salt: "<hex>", hash: "<hex>" }
+ * Records with an iteration count outside MIN_ITERATIONS..MAX_ITERATIONS are rejected, so an imported record
+ * cannot weaken the hash or hang the worker that checks it.
+ * Older versions stored a bare, unsalted SHA-256 hex string. It is still accepted by
+ * verifyPassword(), which reports needsUpgrade so callers can re-hash on the next unlock.
+ *
+ * Exposes globalThis.SiteBlockerPassword:
+ *  - hashPassword(password) -> Promise<record>
+ *  - verifyPassword(password, stored) -> Promise<{ ok, needsUpgrade }>
+ *  - isHashRecord(value), isLegacyHash(value), isValidStoredHash(value)
+ *  - ITERATIONS, isValidIterations(n), toHex(bytes), fromHex(hex): shared with lib/backup.js, which derives
+ *    its file keys with PBKDF2 too
+ */
+
+(function () {
+  const ALGO = "pbkdf2-sha256";
+  const ITERATIONS = 600000;
+  const MIN_ITERATIONS = 600000;
+  const MAX_ITERATIONS = 5000000;
+  const SALT_BYTES = 16;
+  const KEY_BITS = 256;
+
+  function toHex(bytes) {
+    return Array.from(bytes).map((b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  function fromHex(hex) {
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++) {
+      out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return out;
+  }
+
+  function isValidIterations(n) {
+    return Number.isInteger(n) && n >= MIN_ITERATIONS && n <= MAX_ITERATIONS;
+  }
+
+  async function sha256Hex(str) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(str));
+    return toHex(new Uint8Array(digest));
+  }
+
+  async function pbkdf2Hex(password, saltHex, iterations) {
+    const key = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(password),
+      "PBKDF2",
+      false,
+      ["deriveBits"]
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt: fromHex(saltHex), iterations },
+      key,
+      KEY_BITS
+    );
+    return toHex(new Uint8Array(bits));
+  }
+
+  // Compares every character so timing does not reveal the matching prefix length
+  function constantTimeEqual(a, b) {
+    if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+
+  function isHexOf(value, length) {
+    return typeof value === "string" && value.length === length && /^[0-9a-f]+$/i.test(value);
+  }
+
+  function isLegacyHash(value) {
+    return isHexOf(value, 64);
+  }
+
+  function isHashRecord(value) {
+    return (
+      !!value &&
+      typeof value === "object" &&
+      value.algo === ALGO &&
+      isValidIterations(value.iterations) &&
+      typeof value.salt === "string" &&
+      value.salt.length >= 16 &&
+      isHexOf(value.salt, value.salt.length) &&
+      value.salt.length % 2 === 0 &&
+      isHexOf(value.hash, KEY_BITS / 4)
+    );
+  }
+
+  // "" means no password set
+  function isValidStoredHash(value) {
+    return value === "" || isLegacyHash(value) || isHashRecord(value);
+  }
+
+  async function hashPassword(password) {
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+    const hash = await pbkdf2Hex(password, salt, ITERATIONS);
+    return { algo: ALGO, iterations: ITERATIONS, salt, hash };
+  }
+
+  async function verifyPassword(password, stored) {
+    if (isHashRecord(stored)) {
+      const hash = await pbkdf2Hex(password, stored.salt, stored.iterations);
+      return { ok: constantTimeEqual(hash, stored.hash.toLowerCase()), needsUpgrade: false };
+    }
+    if (isLegacyHash(stored)) {
+      const ok = constantTimeEqual(await sha256Hex(password), stored.toLowerCase());
+      return { ok, needsUpgrade: ok };
+    }
+    return { ok: false, needsUpgrade: false };
+  }
+
+  globalThis.SiteBlockerPassword = {
+    hashPassword,
+    verifyPassword,
+    isHashRecord,
+    isLegacyHash,
+    isValidStoredHash,
+    ITERATIONS,
+    isValidIterations,
+    toHex,
+    fromHex
+  };
+})();
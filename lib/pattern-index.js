@@ -0,0 +1,143 @@
+"use strict";
+
+/**
+ * Compiled index over a list of block-list patterns, for checking many URLs against a large list
+ * (the background worker builds one per list of entries in effect). Gives the same answers as
+ * SiteBlockerMatch.explainUrl without parsing or scanning every pattern per URL:
+ *  - domain and wildcard entries: a trie over the reversed host names. Walking it from the start of the
+ *    reversed host finds the host itself and its parent domains; walks from later offsets find the legacy
+ *    "host contains the entry" fallback (domain entries only).
+ *  - exact-host entries: a map keyed by host
+ *  - URL prefix entries: a trie over the prefixes, walked along the URL
+ *  - substring and regex entries: checked one by one (they cannot be narrowed down by host)
+ *
+ * Exposes globalThis.SiteBlockerPatternIndex (needs lib/matcher.js):
+ *  - build(patterns) -> index (entries with errors and cosmetic entries are left out, as matchPattern
+ *    ignores them)
+ *  - explain(index, url) -> { blocked, matches: [{ index, pattern, exception, type, action }] }, like explainUrl
+ *  - isBlocked(index, url) -> explain(index, url).blocked
+ */
+
+(function () {
+  function getHost(url) {
+    try {
+      return new URL(url).hostname || "";
+    } catch {
+      return "";
+    }
+  }
+
+  function reverse(text) {
+    return text.split("").reverse().join("");
+  }
+
+  function newNode() {
+    return { children: new Map(), entries: [] };
+  }
+
+  function insert(root, key, entry) {
+    let node = root;
+    for (let i = 0; i < key.length; i++) {
+      let next = node.children.get(key[i]);
+      if (!next) {
+        next = newNode();
+        node.children.set(key[i], next);
+      }
+      node = next;
+    }
+    node.entries.push(entry);
+  }
+
+  function build(patterns) {
+    const index = { hosts: newNode(), exact: new Map(), prefixes: newNode(), linear: [] };
+    (patterns || []).forEach((raw, i) => {
+      const parsed = SiteBlockerMatch.parsePattern(raw);
+      if (parsed.error) return;
+      const entry = { index: i, pattern: parsed.raw, exception: parsed.exception, kind: parsed.kind, parsed };
+      switch (parsed.kind) {
+        case "domain":
+        case "wildcard":
+          insert(index.hosts, reverse(parsed.value), entry);
+          break;
+        case "exact":
+          if (!index.exact.has(parsed.value)) index.exact.set(parsed.value, []);
+          index.exact.get(parsed.value).push(entry);
+          break;
+        case "prefix":
+          insert(index.prefixes, parsed.value, entry);
+          break;
+        case "cosmetic":
+          // Hides page elements; never matches a URL
+          break;
+        default:
+          index.linear.push(entry);
+      }
+    });
+    return index;
+  }
+
+  function toMatch(entry, type) {
+    return { index: entry.index, pattern: entry.pattern, exception: entry.exception, type, action: entry.parsed.action };
+  }
+
+  function matchHost(index, host, matches) {
+    const reversed = reverse(host);
+    for (let start = 0; start < reversed.length; start++) {
+      let node = index.hosts;
+      for (let i = start; i < reversed.length; i++) {
+        node = node.children.get(reversed[i]);
+        if (!node) break;
+        if (!node.entries.length) continue;
+        // From the end of the host up to a label boundary: the host itself or one of its parent domains.
+        // Such an entry is found at start 0, so it is never also reported as a fallback.
+        const whole = start === 0 && (i === reversed.length - 1 || reversed[i + 1] === ".");
+        for (const entry of node.entries) {
+          if (whole) {
+            matches.push(toMatch(entry, entry.kind));
+          } else if (entry.kind === "domain" && !matches.some((m) => m.index === entry.index)) {
+            matches.push(toMatch(entry, "fallback"));
+          }
+        }
+      }
+    }
+  }
+
+  function matchPrefixes(index, href, matches) {
+    let node = index.prefixes;
+    for (let i = 0; i < href.length; i++) {
+      node = node.children.get(href[i]);
+      if (!node) return;
+      for (const entry of node.entries) matches.push(toMatch(entry, "prefix"));
+    }
+  }
+
+  function explain(index, url) {
+    const href = (url || "").toLowerCase();
+    const host = getHost(url).toLowerCase();
+    const matches = [];
+    if (!href || !host) return { blocked: false, matches };
+
+    matchHost(index, host, matches);
+    for (const entry of index.exact.get(host) || []) matches.push(toMatch(entry, "exact"));
+    matchPrefixes(index, href, matches);
+    for (const entry of index.linear) {
+      const { kind, value, regex } = entry.parsed;
+      if (kind === "substring" ? href.includes(value) : regex.test(url)) matches.push(toMatch(entry, kind));
+    }
+
+    // Same order and precedence as explainUrl: list order, exceptions win over every block entry
+    matches.sort((a, b) => a.index - b.index);
+    const blocked = matches.some((m) => !m.exception) && !matches.some((m) => m.exception);
+    return { blocked, matches };
+  }
+
+  function isBlocked(index, url) {
+    return explain(index, url).blocked;
+  }
+
+  globalThis.SiteBlockerPatternIndex = {
+    build,
+    explain,
+    isBlocked
+  };
+})();
@@ -0,0 +1,181 @@
+"use strict";
+
+/**
+ * Schedules for block-list entries.
+ * A schedule is appended to a line after " @ ":
+ *   reddit.com @ Mon-Fri 09:00-17:30
+ *   news.example @ Sat,Sun
+ *   youtube.com @ Mon-Fri 09:00-12:00, 13:00-17:30; Sat 10:00-12:00
+ *   x.com @ 22:00-06:00            (every day, overnight)
+ * Entries without a schedule are always active.
+ *
+ * Exposes globalThis.SiteBlockerSchedule:
+ *  - splitEntry(line) -> { pattern, scheduleText }
+ *  - parseSchedule(text) -> { windows, error }
+ *  - isActive(windows, date)
+ *  - nextBoundary(windows, date) -> timestamp (ms) of the next start/end, or null
+ *  - activePatterns(entries, date) -> bare patterns of the entries whose schedule is active
+ */
+
+(function () {
+  const DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+  const DAY_ALIASES = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+  };
+  const MINUTES_PER_DAY = 24 * 60;
+
+  function splitEntry(line) {
+    const text = (line || "").trim();
+    // The pattern part may carry a time budget ("youtube.com: 30 minutes/day @ Mon-Fri")
+    const m = text.match(/^(.+?)\s+@\s*(.*)$/);
+    if (!m) return { pattern: text, scheduleText: "" };
+    return { pattern: m[1], scheduleText: m[2].trim() };
+  }
+
+  // "mon", "monday" -> 1
+  function parseDay(token) {
+    if (token.length < 3) return -1;
+    return DAY_NAMES.findIndex((d) => d.startsWith(token));
+  }
+
+  // "Mon-Fri", "Sat,Sun", "Mon,Wed-Fri", "weekdays"
+  function parseDays(text) {
+    const t = text.trim().toLowerCase();
+    if (!t) return DAY_ALIASES.daily.slice();
+    const days = new Set();
+    for (const part of t.split(",").map((s) => s.trim()).filter(Boolean)) {
+      if (DAY_ALIASES[part]) {
+        DAY_ALIASES[part].forEach((d) => days.add(d));
+        continue;
+      }
+      const range = part.split("-").map((s) => s.trim());
+      if (range.length === 1) {
+        const d = parseDay(range[0]);
+        if (d < 0) return null;
+        days.add(d);
+      } else if (range.length === 2) {
+        const from = parseDay(range[0]);
+        const to = parseDay(range[1]);
+        if (from < 0 || to < 0) return null;
+        // Ranges may wrap around the week (e.g. Fri-Mon)
+        for (let d = from; ; d = (d + 1) % 7) {
+          days.add(d);
+          if (d === to) break;
+        }
+      } else {
+        return null;
+      }
+    }
+    return Array.from(days).sort();
+  }
+
+  function parseClock(text) {
+    const m = text.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!m) return -1;
+    const h = Number(m[1]);
+    const min = Number(m[2]);
+    if (min > 59 || h > 24 || (h === 24 && min !== 0)) return -1;
+    return h * 60 + min;
+  }
+
+  // "09:00-17:30" -> { start: 540, end: 1050 }
+  function parseTimeRange(text) {
+    const parts = text.split("-");
+    if (parts.length !== 2) return null;
+    const start = parseClock(parts[0]);
+    const end = parseClock(parts[1]);
+    if (start < 0 || end < 0 || start === end || start === MINUTES_PER_DAY) return null;
+    return { start, end };
+  }
+
+  function parseSchedule(text) {
+    // Accept typographic dashes typed or pasted by users (e.g. "Mon–Fri")
+    const t = (text || "").replace(/[‒-―]/g, "-").trim();
+    if (!t) return { windows: [], error: null };
+
+    const windows = [];
+    for (const segment of t.split(";").map((s) => s.trim()).filter(Boolean)) {
+      const firstDigit = segment.search(/\d/);
+      const daysText = firstDigit >= 0 ? segment.slice(0, firstDigit) : segment;
+      const timesText = firstDigit >= 0 ? segment.slice(firstDigit) : "";
+
+      const days = parseDays(daysText);
+      if (!days) return { windows: [], error: `Invalid days "${daysText.trim()}".` };
+
+      if (!timesText.trim()) {
+        windows.push({ days, start: 0, end: MINUTES_PER_DAY });
+        continue;
+      }
+      for (const rangeText of timesText.split(",").map((s) => s.trim()).filter(Boolean)) {
+        const range = parseTimeRange(rangeText.replace(/\s+/g, ""));
+        if (!range) return { windows: [], error: `Invalid time range "${rangeText}".` };
+        windows.push({ days, start: range.start, end: range.end });
+      }
+    }
+    return { windows, error: null };
+  }
+
+  function minutesOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes();
+  }
+
+  // Windows with end <= start run past midnight into the following day
+  function isActive(windows, date = new Date()) {
+    if (!windows || !windows.length) return true;
+    const day = date.getDay();
+    const prevDay = (day + 6) % 7;
+    const m = minutesOfDay(date);
+    return windows.some((w) => {
+      const overnight = w.end <= w.start;
+      if (w.days.includes(day) && m >= w.start && (overnight || m < w.end)) return true;
+      return overnight && w.days.includes(prevDay) && m < w.end;
+    });
+  }
+
+  function atMinute(baseDate, dayOffset, minutes) {
+    const d = new Date(baseDate.getFullYear(), baseDate.getMonth(), baseDate.getDate() + dayOffset);
+    d.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    return d.getTime();
+  }
+
+  function nextBoundary(windows, date = new Date()) {
+    if (!windows || !windows.length) return null;
+    const now = date.getTime();
+    let next = null;
+    // Start one day back so an overnight window that began yesterday yields its end
+    for (let offset = -1; offset <= 7; offset++) {
+      const weekday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset).getDay();
+      for (const w of windows) {
+        if (!w.days.includes(weekday)) continue;
+        const start = atMinute(date, offset, w.start);
+        const end = w.end <= w.start ? atMinute(date, offset + 1, w.end) : atMinute(date, offset, w.end);
+        for (const t of [start, end]) {
+          if (t > now && (next === null || t < next)) next = t;
+        }
+      }
+    }
+    return next;
+  }
+
+  // Entries with an unparseable schedule are treated as always active
+  function activePatterns(entries, date = new Date()) {
+    const out = [];
+    for (const entry of entries || []) {
+      const { pattern, scheduleText } = splitEntry(entry);
+      if (!pattern) continue;
+      const { windows } = parseSchedule(scheduleText);
+      if (isActive(windows, date)) out.push(pattern);
+    }
+    return out;
+  }
+
+  globalThis.SiteBlockerSchedule = {
+    splitEntry,
+    parseSchedule,
+    isActive,
+    nextBoundary,
+    activePatterns
+  };
+})();
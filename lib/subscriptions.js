@@ -0,0 +1,134 @@
+"use strict";
+
+/**
+ * Subscribed block lists: lists published at a URL that background fetches and refreshes by itself.
+ * Shared by the background worker and the options page.
+ *
+ * Stored as "subscriptions" (in the area chosen for the blocked list): [{ id, url }]
+ * Fetched entries are cached in chrome.storage.local "subscriptionCache", keyed by subscription id:
+ *   { url, format, entries, rejected, etag, lastModified, updatedAt, checkedAt, error }
+ *   updatedAt: when the entries last changed (a fresh download); checkedAt: the last attempt, successful
+ *   or not; error: why the last attempt failed, or null (the previous entries are kept meanwhile).
+ * The entries are plain patterns (lib/matcher.js); any format lib/importers.js reads is accepted. Only plain
+ * block patterns are taken from a list: exceptions, actions, regexes and cosmetic entries are rejected, so a
+ * third-party list cannot unblock the user's own entries, send tabs elsewhere or ship slow regexes. Neither
+ * are domain entries, whose loose fallback would block any host containing the name; the importer turns
+ * listed hosts into wildcard entries.
+ *
+ * Exposes globalThis.SiteBlockerSubscriptions:
+ *  - REFRESH_INTERVAL_MS -> how old a list may get before background downloads it again
+ *  - createSubscription(url) -> { id, url }
+ *  - normalizeSubscriptions(list) -> cleaned list (valid URLs, one subscription per URL)
+ *  - validateSubscriptionUrl(url) -> error message or null
+ *  - validateListEntry(entry) -> error message or null for an entry of a downloaded list
+ *  - isDue(subscription, cached, now) -> whether the list should be downloaded again
+ *  - parseListText(text, url) -> { format, ...SiteBlockerImporters.parseList() result } for a downloaded list
+ *  - cachedEntries(subscriptions, cache) -> entries of all subscriptions, deduplicated, in order
+ *  - label(subscription) -> short name for lists (the host of the URL)
+ */
+
+(function () {
+  const REFRESH_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+  function newSubscriptionId() {
+    return `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function createSubscription(url) {
+    return { id: newSubscriptionId(), url: url.trim() };
+  }
+
+  function validateSubscriptionUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL((url || "").trim());
+    } catch {
+      return "Enter the full address of the list, starting with https://.";
+    }
+    if (parsed.protocol !== "https:" && parsed.protocol !== "http:") return "Only http and https addresses can be subscribed to.";
+    return null;
+  }
+
+  function normalizeSubscriptions(list) {
+    if (!Array.isArray(list)) return [];
+    const urls = new Set();
+    const ids = new Set();
+    const out = [];
+    for (const s of list) {
+      if (!s || typeof s !== "object" || typeof s.url !== "string" || validateSubscriptionUrl(s.url)) continue;
+      const url = s.url.trim();
+      if (urls.has(url)) continue;
+      urls.add(url);
+      let id = typeof s.id === "string" && s.id ? s.id : newSubscriptionId();
+      if (ids.has(id)) id = newSubscriptionId();
+      ids.add(id);
+      out.push({ id, url });
+    }
+    return out;
+  }
+
+  // Wildcard, exact-host, prefix and substring entries that block with the password overlay
+  const LIST_ENTRY_KINDS = ["wildcard", "exact", "prefix", "substring"];
+
+  function validateListEntry(entry) {
+    const parsed = SiteBlockerMatch.parsePattern(entry);
+    if (parsed.error) return parsed.error;
+    if (parsed.exception) return "Subscribed lists cannot add exceptions.";
+    if (parsed.action.type !== "lock") return "Subscribed lists cannot set actions.";
+    if (parsed.kind === "regex") return "Subscribed lists cannot add regex entries.";
+    if (parsed.kind === "domain") return "Subscribed lists cannot add loose domain entries.";
+    if (!LIST_ENTRY_KINDS.includes(parsed.kind)) return "Subscribed lists can only add plain block entries.";
+    return null;
+  }
+
+  function isDue(subscription, cached, now = Date.now()) {
+    if (!cached || cached.url !== subscription.url) return true;
+    return now - (Number(cached.checkedAt) || 0) >= REFRESH_INTERVAL_MS;
+  }
+
+  function parseListText(text, url) {
+    let path = "";
+    try {
+      path = new URL(url).pathname;
+    } catch {
+      // detectFormat only uses it for the file extension
+    }
+    const format = SiteBlockerImporters.detectFormat(text, path);
+    return { format, ...SiteBlockerImporters.parseList(text, format, validateListEntry) };
+  }
+
+  function cachedEntries(subscriptions, cache) {
+    const out = [];
+    const seen = new Set();
+    for (const s of subscriptions || []) {
+      const cached = cache && cache[s.id];
+      if (!cached || cached.url !== s.url || !Array.isArray(cached.entries)) continue;
+      for (const entry of cached.entries) {
+        if (seen.has(entry) || validateListEntry(entry)) continue;
+        seen.add(entry);
+        out.push(entry);
+      }
+    }
+    return out;
+  }
+
+  function label(subscription) {
+    try {
+      return new URL(subscription.url).hostname || subscription.url;
+    } catch {
+      return subscription.url;
+    }
+  }
+
+  globalThis.SiteBlockerSubscriptions = {
+    REFRESH_INTERVAL_MS,
+    createSubscription,
+    normalizeSubscriptions,
+    validateSubscriptionUrl,
+    validateListEntry,
+    isDue,
+    parseListText,
+    cachedEntries,
+    label
+  };
+})();
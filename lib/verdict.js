@@ -0,0 +1,65 @@
+"use strict";
+
+/**
+ * Verdict cache: the entries in effect right now, precompiled by the background worker so content
+ * scripts can decide at document_start without waking it. Stored in chrome.storage.local as
+ * "verdictCache":
+ *   { version, builtAt, validUntil, rules: { patterns, budgets, exhausted }, keywords }
+ * rules is SiteBlockerBudget.classify() output with schedules and the focus list already applied;
+ * validUntil (ms) is the next time that could change without a storage write (schedule boundary,
+ * budget reset, end of a focus session). Per-tab unlocks are not in the cache.
+ * keywords are the keyword rules (lib/keywords.js); they have no schedule, so they stay usable after
+ * validUntil.
+ * Cosmetic entries (lib/matcher.js) travel in rules.patterns like any other entry.
+ *
+ * Exposes globalThis.SiteBlockerVerdictCache (needs lib/matcher.js and lib/budget.js):
+ *  - VERSION
+ *  - compile(rules, validUntil, now, keywords) -> cache record
+ *  - check(cache, url, now) -> "allowed", "blocked", or "unknown" (no cache, stale, or another version)
+ *  - keywordRules(cache) -> the keyword rules in the cache ([] without a cache of this version)
+ *  - cosmeticSelectors(cache, url) -> CSS selectors to hide on the URL's host ([] without a cache of this
+ *    version). A stale cache is still used: hiding a little too long is harmless, and background rewrites
+ *    the cache at every schedule boundary anyway.
+ */
+
+(function () {
+  const VERSION = 2;
+
+  function compile(rules, validUntil, now = Date.now(), keywords = []) {
+    return {
+      version: VERSION,
+      builtAt: now,
+      validUntil: Number.isFinite(validUntil) ? validUntil : null,
+      rules: {
+        patterns: rules.patterns.slice(),
+        budgets: rules.budgets.map((b) => ({ ...b })),
+        exhausted: rules.exhausted.slice()
+      },
+      keywords: keywords.map((k) => ({ ...k }))
+    };
+  }
+
+  function check(cache, url, now = Date.now()) {
+    if (!cache || cache.version !== VERSION || !cache.rules) return "unknown";
+    if (cache.validUntil !== null && now >= cache.validUntil) return "unknown";
+    return SiteBlockerBudget.blockVerdict(url, cache.rules) ? "blocked" : "allowed";
+  }
+
+  function keywordRules(cache) {
+    if (!cache || cache.version !== VERSION || !Array.isArray(cache.keywords)) return [];
+    return cache.keywords;
+  }
+
+  function cosmeticSelectors(cache, url) {
+    if (!cache || cache.version !== VERSION || !cache.rules) return [];
+    return SiteBlockerMatch.cosmeticSelectors(url, cache.rules.patterns);
+  }
+
+  globalThis.SiteBlockerVerdictCache = {
+    VERSION,
+    compile,
+    check,
+    keywordRules,
+    cosmeticSelectors
+  };
+})();
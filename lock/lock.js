@@ -0,0 +1,76 @@
+// Firefox/Chrome compatibility
+if (typeof browser === "undefined") {
+  var browser = chrome;
+}
+
+"use strict";
+
+/**
+ * Lock page for network-level blocking.
+ * Blocked main-frame requests are redirected here by declarativeNetRequest rules as
+ * lock.html#<original URL>. After a correct password the background allows the host
+ * for this tab and the page passes through to the original URL. When the block comes from a used-up
+ * daily time budget, the password grants extra time instead (which lifts the network rule).
+ * During a focus session the page cannot be unlocked; it retries the original URL once the session ends.
+ * The entry's action picks the prompt: a warning continues without a password, a challenge entry asks for
+ * its challenge instead of the password, a hard block has no unlock,
+ * and for a "close" entry the page asks background to close the tab.
+ */
+
+(function () {
+  const target = location.hash.slice(1);
+  const messageEl = document.getElementById("lockMessage");
+
+  function getTargetHost(url) {
+    try {
+      const u = new URL(url);
+      return u.protocol === "http:" || u.protocol === "https:" ? u.hostname : "";
+    } catch {
+      return "";
+    }
+  }
+
+  const host = getTargetHost(target);
+  if (!host) {
+    messageEl.textContent = "This page was blocked, but the original address is missing or invalid.";
+    return;
+  }
+
+  document.title = `Site locked — ${host}`;
+
+  chrome.runtime.sendMessage({ type: "GET_BLOCK_STATUS", url: target }, (status) => {
+    void chrome.runtime.lastError;
+    const action = (status && status.action) || { type: "lock" };
+    if (action.type === "close") {
+      messageEl.textContent = `Closing ${host}…`;
+      chrome.runtime.sendMessage({ type: "CLOSE_TAB" });
+    } else if (action.type === "redirect") {
+      location.replace(action.url);
+    } else {
+      showPrompt((status && status.budget) || null, (status && status.focus) || null, action.type, action.challenge);
+    }
+  });
+
+  // Session started: show the focus prompt. Session over: the URL may not be blocked any more
+  // (otherwise the network rule brings us back here).
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local" || !changes.focusSession) return;
+    if (changes.focusSession.newValue) location.reload();
+    else location.replace(target);
+  });
+
+  function showPrompt(budget, focus, action, challenge = null) {
+    window.SiteBlockerPrompt.show({
+      host,
+      url: target,
+      budget,
+      focus,
+      action,
+      challenge,
+      onUnlocked: () => {
+        messageEl.textContent = `Opening ${host}…`;
+        location.replace(target);
+      }
+    });
+  }
+})();
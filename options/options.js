@@ -7,31 +7,131 @@ if (typeof browser === "undefined") {
 
 /**
  * Options page
- * - Master password stored as SHA-256 hash in chrome.storage.local (never synced)
- * - Blocked list stored in chrome.storage.sync or chrome.storage.local (user choice)
- * - Import/Export settings to/from JSON
- * - CONFIRMATION: Password confirmation required only when deleting sites.
- *   - If no master password exists, deleting is blocked (user must set one first).
+ * - Master password stored as a salted PBKDF2 hash record in chrome.storage.local (never synced)
+ * - Roles: an optional admin password ("adminHash") that has to be entered before the settings show, and
+ *   that confirms removals instead of the master password; groups can have their own unlock password
+ *   (hashes in "groupUnlockHashes", local). Background decides which password unlocks a page.
+ * - Blocked list stored in chrome.storage.sync or chrome.storage.local (user choice), as named groups
+ *   (lib/groups.js) that can be turned on and off; a legacy flat list shows up as the "Default" group
+ * - Import/Export settings to/from JSON; exports can be encrypted with a passphrase (lib/backup.js).
+ *   Import previews the entries added and removed and any password change, merges into or replaces the
+ *   current settings, and asks for the current password (as for deletions) when it removes entries or
+ *   changes a password.
+ * - Keyword rules ("keywordRules", lib/keywords.js): keywords looked for in search terms, page titles and
+ *   optionally page text, each with its own case and whole-word options; removing or changing one counts
+ *   as a removal
+ * - Subscribed lists ("subscriptions", lib/subscriptions.js): added here and saved with the blocked list;
+ *   background downloads them. Shows each list's last update, entry count and error; unsubscribing counts
+ *   as a removal (password confirmation, commitment delay)
+ * - Block-list import: hosts files, adblock-style lists and CSV (lib/importers.js) are rewritten into our
+ *   patterns and added to a chosen group, a new group or the focus list (saved with the next save)
+ * - Daily time budgets ("site: 30 minutes/day"): reset hour and the extra time a password unlock grants
+ * - Blocking mode: "overlay" (default) or "network" (declarativeNetRequest redirect to the lock page)
+ * - Unlock duration: default and maximum offered by the overlay (stored locally)
+ * - Unlock challenges ("challengeSettings", local; blocker/challenges.js): passage length, countdown and
+ *   the number and difficulty of arithmetic problems for entries with a challenge action
+ * - Unlock reasons ("unlockReasonRequired", local): the overlay asks why before it unlocks
+ * - History: the activity log background keeps ("activityLog", lib/activity.js; how long is
+ *   "activityRetentionDays") as per-site counts, blocks and unlocks by hour of day, the reasons given and
+ *   the recent events, for a chosen period; exported as CSV
+ * - Entries may carry a schedule ("site @ Mon-Fri 09:00-17:30")
+ * - Focus list: plain patterns blocked only during a focus session (stored next to the blocked list);
+ *   entries cannot be removed while a session runs
+ * - URL tester: shows which lines match a URL (same code as background) and warns about shadowed entries
+ * - Invalid patterns (lib/matcher.js) and schedules are flagged with their line numbers on save
+ * - Commitment mode: with a delay set, changes that lower protection (lib/commitment.js) are saved as
+ *   pending changes that background applies once due; they are listed here and can be cancelled
+ * - CONFIRMATION: Password confirmation required only when deleting sites, or when turning off (or
+ *   removing) a group marked "Password to turn off".
+ *   - If no master password exists, these changes are blocked (user must set one first).
+ *   - With an admin password set, the admin password confirms them instead.
  */
 
 (function () {
   const $ = (sel) => document.querySelector(sel);
 
+  const adminGateEl = $("#adminGate");
+  const adminGatePasswordEl = $("#adminGatePassword");
+  const adminGateBtn = $("#adminGateBtn");
+  const adminGateErrorEl = $("#adminGateError");
+  const settingsEl = $("#settings");
+
   const masterPasswordEl = $("#masterPassword");
-  const blockedSitesEl = $("#blockedSites");
+  const adminPasswordEl = $("#adminPassword");
+  const removeAdminRowEl = $("#removeAdminRow");
+  const removeAdminEl = $("#removeAdmin");
+  const adminStatusEl = $("#adminStatus");
+  const groupsEl = $("#groups");
+  const addGroupBtn = $("#addGroupBtn");
+  const groupTemplate = $("#groupTemplate");
+  const focusSitesEl = $("#focusSites");
+  const keywordRulesEl = $("#keywordRules");
+  const addKeywordBtn = $("#addKeywordBtn");
+  const keywordTemplate = $("#keywordTemplate");
+  const subscriptionListEl = $("#subscriptionList");
+  const subscriptionUrlEl = $("#subscriptionUrl");
+  const addSubscriptionBtn = $("#addSubscriptionBtn");
+  const refreshSubscriptionsBtn = $("#refreshSubscriptionsBtn");
+  const listFormatSelect = $("#listFormatSelect");
+  const listTargetSelect = $("#listTargetSelect");
+  const listImportBtn = $("#listImportBtn");
+  const listImportFile = $("#listImportFile");
+  const listImportReportEl = $("#listImportReport");
   const blockedStorageSelect = $("#blockedStorageSelect");
+  const enforcementModeSelect = $("#enforcementModeSelect");
+  const budgetResetHourSelect = $("#budgetResetHourSelect");
+  const budgetExtraMinutesEl = $("#budgetExtraMinutes");
+  const unlockDefaultSelect = $("#unlockDefaultSelect");
+  const unlockMaxSelect = $("#unlockMaxSelect");
+  const challengeTypingLengthEl = $("#challengeTypingLength");
+  const challengeCountdownSecondsEl = $("#challengeCountdownSeconds");
+  const challengeMathProblemsEl = $("#challengeMathProblems");
+  const challengeMathDifficultySelect = $("#challengeMathDifficulty");
+  const unlockReasonRequiredEl = $("#unlockReasonRequired");
+  const activityRetentionSelect = $("#activityRetentionSelect");
+  const commitmentDelaySelect = $("#commitmentDelaySelect");
+  const pendingSectionEl = $("#pendingSection");
+  const pendingListEl = $("#pendingList");
   const saveBtn = $("#saveBtn");
   const statusEl = $("#status");
   const passwordStatusEl = $("#passwordStatus");
 
+  const testUrlEl = $("#testUrl");
+  const testBtn = $("#testBtn");
+  const testResultEl = $("#testResult");
+
   const exportBtn = $("#exportBtn");
+  const exportPassphraseEl = $("#exportPassphrase");
+  const exportPassphraseRepeatEl = $("#exportPassphraseRepeat");
   const importBtn = $("#importBtn");
   const importFile = $("#importFile");
 
+  const activityRangeSelect = $("#activityRangeSelect");
+  const activitySummaryEl = $("#activitySummary");
+  const activityHostsEl = $("#activityHosts");
+  const activityHoursEl = $("#activityHours");
+  const activityReasonsEl = $("#activityReasons");
+  const activityListEl = $("#activityList");
+  const exportActivityBtn = $("#exportActivityBtn");
+
+  // Import preview modal elements
+  const importModalEl = $("#importModal");
+  const importPassphraseStepEl = $("#importPassphraseStep");
+  const importPassphraseEl = $("#importPassphrase");
+  const importPreviewStepEl = $("#importPreviewStep");
+  const importChangesEl = $("#importChanges");
+  const importConfirmRowEl = $("#importConfirmRow");
+  const importConfirmTextEl = $("#importConfirmText");
+  const importPasswordEl = $("#importPassword");
+  const importErrorEl = $("#importError");
+  const importApplyBtn = $("#importApplyBtn");
+  const importCancelBtn = $("#importCancelBtn");
+
   // Confirm modal elements
   const confirmModalEl = $("#confirmModal");
   const confirmPasswordEl = $("#confirmPassword");
   const confirmErrorEl = $("#confirmError");
+  const confirmTextEl = $("#confirmText");
   const confirmSaveBtn = $("#confirmSaveBtn");
   const confirmCancelBtn = $("#confirmCancelBtn");
   const confirmDialogEl = confirmModalEl.querySelector(".confirm-dialog");
@@ -39,8 +139,19 @@ if (typeof browser === "undefined") {
   // Local state
   const state = {
     storageArea: "sync",
-    prevBlockedSites: [],
-    masterHash: ""
+    prevGroups: [],
+    prevFocusSites: [],
+    prevSubscriptions: [],
+    prevKeywordRules: [],
+    // Subscriptions as edited on the page (saved with the other settings) and background's download state
+    subscriptions: [],
+    subscriptionCache: {},
+    masterHash: "",
+    adminHash: "",
+    groupHashes: {},
+    commitmentDelayHours: 0,
+    pendingChanges: [],
+    activityLog: []
   };
 
   // ------- Helpers -------
@@ -99,24 +210,190 @@ if (typeof browser === "undefined") {
     return out;
   }
 
-  function fillSites(list) {
-    blockedSitesEl.value = (list || []).join("\n");
+  // Error message for a blocked-list entry whose pattern, budget or schedule does not parse, or null
+  function entryError(entry) {
+    const { pattern: part, scheduleText } = SiteBlockerSchedule.splitEntry(entry);
+    const { pattern, error: budgetError } = SiteBlockerBudget.splitBudget(part);
+    const patternError = SiteBlockerMatch.validatePattern(pattern);
+    const scheduleError = scheduleText ? SiteBlockerSchedule.parseSchedule(scheduleText).error : null;
+    if (!patternError && part !== pattern && SiteBlockerMatch.parsePattern(pattern).kind === "cosmetic") {
+      return "Cosmetic entries cannot have a time budget.";
+    }
+    // A budget blocks with its own overlay (extra time for the password), so it cannot take an action
+    const withoutAction = SiteBlockerMatch.splitAction(part).pattern;
+    if (withoutAction !== part && SiteBlockerBudget.splitBudget(withoutAction).minutes) {
+      return "Entries with a time budget cannot have an action.";
+    }
+    return patternError || budgetError || (scheduleError && `Invalid schedule: ${scheduleError}`) || null;
   }
 
-  function setPasswordStatus(hasHash) {
-    if (hasHash) {
-      passwordStatusEl.textContent = "Status: master password is set (stored as SHA-256 hash, locally).";
+  // One message per entry that does not parse; label names the group, if any
+  function findEntryErrors(list, label = "") {
+    const errors = [];
+    list.forEach((entry, i) => {
+      const error = entryError(entry);
+      if (error) errors.push(`${label ? `${label}, line` : "Line"} ${i + 1} ("${entry}"): ${error}`);
+    });
+    return errors;
+  }
+
+  function findGroupErrors(groups) {
+    return groups.flatMap((g) => findEntryErrors(g.sites, `Group "${g.name}"`));
+  }
+
+  // Focus-list entries are plain patterns: the session itself is the schedule
+  function focusEntryError(entry) {
+    const error = SiteBlockerMatch.validatePattern(entry);
+    if (error) return error;
+    if (SiteBlockerSchedule.splitEntry(entry).scheduleText) return "Focus-list entries cannot have a schedule.";
+    if (SiteBlockerBudget.splitBudget(entry).minutes) return "Focus-list entries cannot have a time budget.";
+    return null;
+  }
+
+  function findFocusEntryErrors(list) {
+    const errors = [];
+    list.forEach((entry, i) => {
+      const error = focusEntryError(entry);
+      if (error) errors.push(`Focus list line ${i + 1} ("${entry}"): ${error}`);
+    });
+    return errors;
+  }
+
+  function describeEntryErrors(errors) {
+    const shown = errors.slice(0, 3).join(" ");
+    return errors.length > 3 ? `${shown} (and ${errors.length - 3} more)` : shown;
+  }
+
+  // ------- Groups -------
+
+  function addGroupCard(group) {
+    const card = groupTemplate.content.firstElementChild.cloneNode(true);
+    card.dataset.id = group.id;
+    const enabledEl = card.querySelector(".opt-group-enabled");
+    card.querySelector(".opt-group-name").value = group.name;
+    enabledEl.checked = group.enabled;
+    card.querySelector(".opt-group-protected").checked = group.requirePassword;
+    card.querySelector(".opt-group-sites").value = group.sites.join("\n");
+    card.classList.toggle("opt-group-disabled", !group.enabled);
+
+    const ownPasswordEl = card.querySelector(".opt-group-own-password");
+    const passwordEl = card.querySelector(".opt-group-password");
+    ownPasswordEl.checked = Boolean(state.groupHashes[group.id]);
+    passwordEl.hidden = !ownPasswordEl.checked;
+    ownPasswordEl.addEventListener("change", () => {
+      passwordEl.hidden = !ownPasswordEl.checked;
+      if (ownPasswordEl.checked) passwordEl.focus();
+    });
+
+    enabledEl.addEventListener("change", () => card.classList.toggle("opt-group-disabled", !enabledEl.checked));
+    // Takes effect on save, where removed entries and protected groups ask for the password
+    card.querySelector(".opt-group-remove").addEventListener("click", (e) => {
+      e.preventDefault();
+      card.remove();
+    });
+
+    groupsEl.appendChild(card);
+    return card;
+  }
+
+  function fillGroups(groups) {
+    groupsEl.textContent = "";
+    const list = groups.length ? groups : [SiteBlockerGroups.createGroup(SiteBlockerGroups.DEFAULT_GROUP_NAME)];
+    list.forEach(addGroupCard);
+    fillListTargets();
+  }
+
+  // Groups as currently typed (names may be empty; handleSaveClick rejects those)
+  function readGroups() {
+    return Array.from(groupsEl.querySelectorAll(".opt-group")).map((card) => ({
+      id: card.dataset.id,
+      name: card.querySelector(".opt-group-name").value.trim(),
+      enabled: card.querySelector(".opt-group-enabled").checked,
+      requirePassword: card.querySelector(".opt-group-protected").checked,
+      sites: parseSites(card.querySelector(".opt-group-sites").value)
+    }));
+  }
+
+  /**
+   * Own unlock passwords as set in the group cards: { hashes: { groupId: hash record }, error }.
+   * A blank password keeps the group's current one; a group that had none needs one typed in.
+   */
+  async function readGroupHashes(groups) {
+    const hashes = {};
+    for (const card of groupsEl.querySelectorAll(".opt-group")) {
+      const id = card.dataset.id;
+      if (!card.querySelector(".opt-group-own-password").checked) continue;
+      const typed = (card.querySelector(".opt-group-password").value || "").trim();
+      if (typed) {
+        hashes[id] = await SiteBlockerPassword.hashPassword(typed);
+      } else if (state.groupHashes[id]) {
+        hashes[id] = state.groupHashes[id];
+      } else {
+        const group = groups.find((g) => g.id === id);
+        return { hashes, error: `Enter an unlock password for the group "${group ? group.name : ""}".` };
+      }
+    }
+    return { hashes, error: null };
+  }
+
+  // Entries that were in a group before and are not in the same group any more (or the group is gone)
+  function removedEntries(oldGroups, newGroups) {
+    const byId = new Map(newGroups.map((g) => [g.id, g]));
+    return oldGroups.flatMap((g) => arrayRemoved(g.sites, byId.has(g.id) ? byId.get(g.id).sites : []));
+  }
+
+  // Exception entries ("!site") that were not in the same group before; they unblock like a removal
+  function addedExceptions(oldGroups, newGroups) {
+    const byId = new Map(oldGroups.map((g) => [g.id, g]));
+    return newGroups.flatMap((g) =>
+      arrayRemoved(g.sites, byId.has(g.id) ? byId.get(g.id).sites : []).filter(isExceptionEntry)
+    );
+  }
+
+  function isExceptionEntry(entry) {
+    return entry.trim().startsWith("!");
+  }
+
+  // Enabled, protected groups that are now off, unprotected or removed
+  function unprotectedGroups(oldGroups, newGroups) {
+    const byId = new Map(newGroups.map((g) => [g.id, g]));
+    return oldGroups.filter((g) => {
+      if (!g.enabled || !g.requirePassword) return false;
+      const now = byId.get(g.id);
+      return !now || !now.enabled || !now.requirePassword;
+    });
+  }
+
+  function setPasswordStatus(storedHash) {
+    if (SiteBlockerPassword.isHashRecord(storedHash)) {
+      passwordStatusEl.textContent = "Status: master password is set (stored as a salted PBKDF2 hash, locally).";
+    } else if (storedHash) {
+      passwordStatusEl.textContent =
+        "Status: master password is set (legacy SHA-256 hash; it is upgraded the next time you unlock a site or confirm a deletion).";
     } else {
       passwordStatusEl.textContent = "Status: no master password set.";
     }
   }
 
-  async function sha256Hex(str) {
-    const enc = new TextEncoder();
-    const data = enc.encode(str);
-    const digest = await crypto.subtle.digest("SHA-256", data);
-    const bytes = new Uint8Array(digest);
-    return Array.from(bytes).map((b) => b.toString(16).padStart(2, "0")).join("");
+  function setAdminStatus(adminHash) {
+    adminStatusEl.textContent = adminHash
+      ? "Status: admin password is set; these settings ask for it when opened."
+      : "Status: no admin password set; anyone can open these settings.";
+    removeAdminRowEl.hidden = !adminHash;
+    removeAdminEl.checked = false;
+  }
+
+  // The password that confirms removals: the admin password when there is one
+  function confirmCredentialName() {
+    return state.adminHash ? "admin password" : "master password";
+  }
+
+  // Order of the duration choices, shortest first; "session" is the longest
+  const UNLOCK_DURATION_ORDER = ["5", "15", "60", "session"];
+
+  function durationRank(value) {
+    const idx = UNLOCK_DURATION_ORDER.indexOf(value);
+    return idx >= 0 ? idx : UNLOCK_DURATION_ORDER.length - 1;
   }
 
   function arrayRemoved(oldArr, newArr) {
@@ -124,11 +401,309 @@ if (typeof browser === "undefined") {
     return oldArr.filter((x) => !setNew.has(x));
   }
 
+  // ------- URL tester -------
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  function normalizeTestUrl(text) {
+    const t = (text || "").trim();
+    if (!t) return "";
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(t) ? t : `https://${t}`;
+  }
+
+  // labels[i]: where entry i is, e.g. 'Group "Social", line 3'
+  function describeShadow(w, labels) {
+    const line = labels[w.index];
+    const other = labels[w.other];
+    if (w.reason === "duplicate") return `${line} duplicates ${other}.`;
+    if (w.reason === "excepted") return `${line} never blocks anything: the exception on ${other} allows every URL it matches.`;
+    return `${line} is already covered by ${other}.`;
+  }
+
+  // Today's budget usage, as the background counts it
+  async function getBudgetUsageToday() {
+    const { budgetResetHour, budgetUsage } = await storage("local").get({ budgetResetHour: 0, budgetUsage: null });
+    const day = SiteBlockerBudget.dayKey(new Date(), Number(budgetResetHour) || 0);
+    return { day, usage: budgetUsage };
+  }
+
+  async function renderTestResult() {
+    const url = normalizeTestUrl(testUrlEl.value);
+    const entries = [];
+    const labels = [];
+    for (const g of readGroups()) {
+      if (!g.enabled) continue;
+      g.sites.forEach((entry, i) => {
+        entries.push(entry);
+        labels.push(`Group "${g.name}", line ${i + 1}`);
+      });
+    }
+    const split = entries.map((entry) => {
+      const { pattern: part, scheduleText } = SiteBlockerSchedule.splitEntry(entry);
+      const { pattern, minutes } = SiteBlockerBudget.splitBudget(part);
+      return { pattern, minutes, scheduleText };
+    });
+    const { day, usage } = await getBudgetUsageToday();
+    const rules = SiteBlockerBudget.classify(SiteBlockerSchedule.activePatterns(entries), usage, day);
+
+    testResultEl.textContent = "";
+
+    if (url) {
+      let valid = true;
+      try {
+        new URL(url);
+      } catch {
+        valid = false;
+      }
+
+      if (!valid) {
+        testResultEl.appendChild(el("div", "opt-verdict opt-verdict-blocked", "That is not a valid URL."));
+      } else {
+        // Verdict over the entries active right now, exactly as the background evaluates them
+        const verdictInfo = SiteBlockerBudget.blockVerdict(url, rules);
+        const blocked = Boolean(verdictInfo);
+        const { matches } = SiteBlockerMatch.explainUrl(url, split.map((s) => s.pattern));
+
+        let verdict = blocked ? "Blocked" : "Allowed";
+        if (verdictInfo && verdictInfo.budget) verdict += ` (daily time budget for ${verdictInfo.budget.pattern} used up)`;
+        if (verdictInfo && verdictInfo.action.type !== "lock") {
+          verdict += ` — ${SiteBlockerMatch.describeAction(verdictInfo.action)}`;
+        }
+        const reason = !matches.length ? " — no entry matches." : "";
+        testResultEl.appendChild(
+          el("div", `opt-verdict ${blocked ? "opt-verdict-blocked" : "opt-verdict-allowed"}`, verdict + reason)
+        );
+
+        if (matches.length) {
+          const list = el("ul");
+          for (const m of matches) {
+            const { scheduleText, minutes } = split[m.index];
+            const active = SiteBlockerSchedule.isActive(SiteBlockerSchedule.parseSchedule(scheduleText).windows);
+            const type = SiteBlockerMatch.RULE_TYPE_LABELS[m.type] || m.type;
+            let text = `${labels[m.index]}: "${entries[m.index]}" — ${type} match`;
+            if (m.exception) text += " (exception)";
+            if (m.action.type !== "lock") text += ` — ${SiteBlockerMatch.describeAction(m.action)}`;
+            if (minutes) text += ` — ${minutes} min/day budget, only blocks once used up`;
+            if (!active) text += " — schedule not active now";
+            list.appendChild(el("li", null, text));
+          }
+          testResultEl.appendChild(list);
+        }
+      }
+    }
+
+    // Only compare entries that are active at the same times and have the same budget
+    const shadows = SiteBlockerMatch.findShadowedEntries(split.map((s) => s.pattern)).filter(
+      (w) =>
+        split[w.index].scheduleText === split[w.other].scheduleText &&
+        split[w.index].minutes === split[w.other].minutes
+    );
+    if (shadows.length) {
+      testResultEl.appendChild(el("div", "opt-warning", "Entry warnings:"));
+      const list = el("ul", "opt-warning");
+      for (const w of shadows) list.appendChild(el("li", null, describeShadow(w, labels)));
+      testResultEl.appendChild(list);
+    }
+  }
+
+  // ------- Keyword rules -------
+
+  function addKeywordCard(rule) {
+    const card = keywordTemplate.content.firstElementChild.cloneNode(true);
+    card.querySelector(".opt-keyword-text").value = rule.keyword;
+    card.querySelector(".opt-keyword-query").checked = rule.query;
+    card.querySelector(".opt-keyword-title").checked = rule.title;
+    card.querySelector(".opt-keyword-page-text").checked = rule.text;
+    card.querySelector(".opt-keyword-case").checked = rule.matchCase;
+    card.querySelector(".opt-keyword-word").checked = rule.wholeWord;
+    // Takes effect on save, where removed rules ask for the password
+    card.querySelector(".opt-keyword-remove").addEventListener("click", (e) => {
+      e.preventDefault();
+      card.remove();
+    });
+    keywordRulesEl.appendChild(card);
+    return card;
+  }
+
+  function fillKeywordRules(rules) {
+    keywordRulesEl.textContent = "";
+    rules.forEach(addKeywordCard);
+  }
+
+  // Rules as currently set (rows without a keyword are left out)
+  function readKeywordRules() {
+    return Array.from(keywordRulesEl.querySelectorAll(".opt-keyword"))
+      .map((card) => ({
+        keyword: card.querySelector(".opt-keyword-text").value.trim(),
+        matchCase: card.querySelector(".opt-keyword-case").checked,
+        wholeWord: card.querySelector(".opt-keyword-word").checked,
+        query: card.querySelector(".opt-keyword-query").checked,
+        title: card.querySelector(".opt-keyword-title").checked,
+        text: card.querySelector(".opt-keyword-page-text").checked
+      }))
+      .filter((r) => r.keyword);
+  }
+
+  function removedKeywordRules(prev, next) {
+    const keys = new Set(next.map(SiteBlockerKeywords.ruleKey));
+    return prev.filter((r) => !keys.has(SiteBlockerKeywords.ruleKey(r)));
+  }
+
+  // ------- Subscriptions -------
+
+  function subscriptionStatus(subscription) {
+    if (!state.prevSubscriptions.some((s) => s.id === subscription.id)) return { text: "Downloaded after saving." };
+    const cached = state.subscriptionCache[subscription.id];
+    if (!cached || cached.url !== subscription.url) return { text: "Not downloaded yet." };
+    const count = cached.entries.length;
+    const parts = [];
+    if (cached.updatedAt) {
+      parts.push(`${count} ${count === 1 ? "entry" : "entries"}, updated ${new Date(cached.updatedAt).toLocaleString()}`);
+    }
+    if (cached.error) {
+      parts.push(`Last check failed ${new Date(cached.checkedAt).toLocaleString()}: ${cached.error}`);
+      return { text: parts.join(". "), error: true };
+    }
+    return { text: parts.join("") || "Not downloaded yet." };
+  }
+
+  function renderSubscriptions() {
+    subscriptionListEl.textContent = "";
+    for (const subscription of state.subscriptions) {
+      const li = el("li");
+      const text = el("span", "opt-subscription-text", subscription.url);
+      const { text: statusText, error } = subscriptionStatus(subscription);
+      text.appendChild(el("span", `opt-subscription-status${error ? " opt-error" : ""}`, statusText));
+      li.appendChild(text);
+      // Takes effect on save, where unsubscribing asks for the password
+      const removeBtn = el("button", "opt-btn opt-btn-secondary", "Remove");
+      removeBtn.addEventListener("click", (e) => {
+        e.preventDefault();
+        state.subscriptions = state.subscriptions.filter((s) => s.id !== subscription.id);
+        renderSubscriptions();
+      });
+      li.appendChild(removeBtn);
+      subscriptionListEl.appendChild(li);
+    }
+  }
+
+  function handleAddSubscription() {
+    const url = (subscriptionUrlEl.value || "").trim();
+    const error = SiteBlockerSubscriptions.validateSubscriptionUrl(url);
+    if (error) {
+      setStatus(error, true, 4000);
+      return;
+    }
+    if (state.subscriptions.some((s) => s.url === url)) {
+      setStatus("You are already subscribed to that list.", true, 4000);
+      return;
+    }
+    state.subscriptions = state.subscriptions.concat(SiteBlockerSubscriptions.createSubscription(url));
+    subscriptionUrlEl.value = "";
+    renderSubscriptions();
+    setStatus("Save the settings to download the list.", false, 4000);
+  }
+
+  async function refreshSubscriptionsNow() {
+    refreshSubscriptionsBtn.disabled = true;
+    try {
+      const result = await new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: "REFRESH_SUBSCRIPTIONS" }, (response) => {
+          void chrome.runtime.lastError;
+          resolve(response || { ok: false });
+        });
+      });
+      if (!result.ok) {
+        setStatus("Could not update the subscribed lists.", true, 4000);
+        return;
+      }
+      state.subscriptionCache = result.subscriptionCache || {};
+      renderSubscriptions();
+      const failed = state.prevSubscriptions.filter((s) => subscriptionStatus(s).error).length;
+      if (failed) setStatus(`${failed} subscribed ${failed === 1 ? "list" : "lists"} could not be updated.`, true, 4000);
+      else setStatus("Subscribed lists updated.");
+    } finally {
+      refreshSubscriptionsBtn.disabled = false;
+    }
+  }
+
+  // ------- Block-list import -------
+
+  const NEW_GROUP_TARGET = "new-group";
+  const FOCUS_TARGET = "focus";
+
+  // Group names change as they are typed, so the choices are rebuilt whenever the select is used
+  function fillListTargets() {
+    const selected = listTargetSelect.value;
+    listTargetSelect.textContent = "";
+    for (const g of readGroups()) {
+      const option = el("option", "", `Group "${g.name || "Unnamed"}"`);
+      option.value = g.id;
+      listTargetSelect.appendChild(option);
+    }
+    for (const [value, text] of [
+      [NEW_GROUP_TARGET, "A new group"],
+      [FOCUS_TARGET, "The focus list"]
+    ]) {
+      const option = el("option", "", text);
+      option.value = value;
+      listTargetSelect.appendChild(option);
+    }
+    if (Array.from(listTargetSelect.options).some((o) => o.value === selected)) listTargetSelect.value = selected;
+  }
+
+  // Appends entries to a textarea, leaving out those already there; returns how many were added
+  function appendEntries(textarea, entries) {
+    const current = parseSites(textarea.value);
+    const added = entries.filter((e) => !current.includes(e));
+    textarea.value = current.concat(added).join("\n");
+    return added.length;
+  }
+
+  async function importListFromFile(file) {
+    const text = await file.text();
+    const format =
+      listFormatSelect.value === "auto" ? SiteBlockerImporters.detectFormat(text, file.name) : listFormatSelect.value;
+    const target = listTargetSelect.value;
+    const parsed = SiteBlockerImporters.parseList(text, format, target === FOCUS_TARGET ? focusEntryError : entryError);
+
+    let added = 0;
+    let where;
+    if (target === FOCUS_TARGET) {
+      added = appendEntries(focusSitesEl, parsed.entries);
+      where = "the focus list";
+    } else if (target === NEW_GROUP_TARGET || !groupsEl.querySelector(`.opt-group[data-id="${CSS.escape(target)}"]`)) {
+      const name = file.name.replace(/\.[^.]*$/, "") || "Imported";
+      if (parsed.entries.length) addGroupCard(SiteBlockerGroups.createGroup(name, parsed.entries));
+      added = parsed.entries.length;
+      where = `the new group "${name}"`;
+    } else {
+      const card = groupsEl.querySelector(`.opt-group[data-id="${CSS.escape(target)}"]`);
+      added = appendEntries(card.querySelector(".opt-group-sites"), parsed.entries);
+      where = `the group "${card.querySelector(".opt-group-name").value.trim() || "Unnamed"}"`;
+    }
+    fillListTargets();
+
+    const counts = `${parsed.kept} kept, ${parsed.converted} converted, ${parsed.rejected} rejected`;
+    const rejects = parsed.rejects.map((r) => `Line ${r.line} ("${r.text}"): ${r.reason}`);
+    listImportReportEl.textContent =
+      `${file.name} (${format}): ${counts}. ${added} new ${added === 1 ? "entry" : "entries"} added to ${where}` +
+      (added ? "; save to apply them." : ".") +
+      (rejects.length ? ` Rejected: ${describeEntryErrors(rejects)}` : "");
+  }
+
   // ------- Modal -------
 
   let pendingSave = null;
 
-  function showConfirmModal() {
+  function showConfirmModal(text) {
+    confirmTextEl.textContent = text;
+    confirmPasswordEl.placeholder = state.adminHash ? "Admin password" : "Master password";
     confirmErrorEl.textContent = "";
     confirmPasswordEl.value = "";
     confirmModalEl.classList.add("open");
@@ -149,20 +724,150 @@ if (typeof browser === "undefined") {
     document.documentElement.style.overflow = "";
   }
 
-  async function verifyConfirmPassword() {
-    const entered = (confirmPasswordEl.value || "").trim();
+  // Checks the current master (or admin) password typed into inputEl; problems are shown in errorEl
+  async function verifyCurrentPassword(inputEl, errorEl) {
+    const entered = (inputEl.value || "").trim();
     if (!entered) {
-      confirmErrorEl.textContent = "Please enter your master password.";
+      errorEl.textContent = `Please enter your ${confirmCredentialName()}.`;
       return false;
     }
-    const hash = await sha256Hex(entered);
-    if (hash !== state.masterHash) {
-      confirmErrorEl.textContent = "Incorrect master password.";
+    const stored = state.adminHash || state.masterHash;
+    const { ok, needsUpgrade } = await SiteBlockerPassword.verifyPassword(entered, stored);
+    if (!ok) {
+      errorEl.textContent = `Incorrect ${confirmCredentialName()}.`;
       return false;
     }
+    if (needsUpgrade && !state.adminHash) {
+      const record = await SiteBlockerPassword.hashPassword(entered);
+      await storage("local").set({ masterHash: record });
+      state.masterHash = record;
+      setPasswordStatus(state.masterHash);
+    }
     return true;
   }
 
+  function verifyConfirmPassword() {
+    return verifyCurrentPassword(confirmPasswordEl, confirmErrorEl);
+  }
+
+  // ------- Commitment mode -------
+
+  function renderPendingChanges() {
+    pendingListEl.textContent = "";
+    pendingSectionEl.hidden = !state.pendingChanges.length;
+    const sorted = state.pendingChanges.slice().sort((a, b) => a.applyAt - b.applyAt);
+    for (const change of sorted) {
+      const li = el("li");
+      li.appendChild(el("span", "opt-pending-text", SiteBlockerCommitment.describe(change)));
+      li.appendChild(el("span", "opt-pending-when", `takes effect ${new Date(change.applyAt).toLocaleString()}`));
+      const cancelBtn = el("button", "opt-btn opt-btn-secondary", "Cancel");
+      cancelBtn.addEventListener("click", (e) => {
+        e.preventDefault();
+        cancelPendingChange(change.id).catch((err) => {
+          console.error(err);
+          setStatus("Failed to cancel the change.", true, 4000);
+        });
+      });
+      li.appendChild(cancelBtn);
+      pendingListEl.appendChild(li);
+    }
+  }
+
+  // Cancelling only keeps protection as it is, so it needs no password
+  async function cancelPendingChange(id) {
+    const { pendingChanges } = await storage("local").get({ pendingChanges: [] });
+    state.pendingChanges = (pendingChanges || []).filter((c) => c.id !== id);
+    await storage("local").set({ pendingChanges: state.pendingChanges });
+    renderPendingChanges();
+    setStatus("Pending change cancelled.");
+  }
+
+  // Background applied due changes: reload so the form does not put removed entries back on the next save
+  function handlePendingChangesUpdate(newValue) {
+    const ids = new Set((newValue || []).map((c) => c.id));
+    const applied = state.pendingChanges.some((c) => !ids.has(c.id));
+    state.pendingChanges = newValue || [];
+    if (applied) {
+      loadSettings().then(() => setStatus("Pending changes took effect; settings reloaded.", false, 5000));
+    } else {
+      renderPendingChanges();
+    }
+  }
+
+  // ------- History -------
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // Rows shown in the site table, and events in the recent list
+  const HISTORY_HOSTS = 15;
+  const HISTORY_EVENTS = 100;
+
+  function plural(count, word) {
+    return `${count} ${word}${count === 1 ? "" : "s"}`;
+  }
+
+  function renderHistory() {
+    const days = Number(activityRangeSelect.value) || 0;
+    const since = days ? Date.now() - days * DAY_MS : 0;
+    const events = state.activityLog.filter((e) => e.at >= since);
+    const { counts, hosts, hours, reasons } = SiteBlockerActivity.summarize(events);
+
+    activitySummaryEl.textContent = events.length
+      ? `${plural(counts.block, "block")}, ${plural(counts.unlock, "unlock")}, ` +
+        `${plural(counts.failed, "wrong password")} and ${plural(counts.settings, "settings change")}.`
+      : "Nothing logged in this period.";
+
+    activityHostsEl.textContent = "";
+    for (const h of hosts.slice(0, HISTORY_HOSTS)) {
+      const tr = el("tr");
+      for (const value of [h.host, h.block, h.unlock, h.failed]) tr.appendChild(el("td", "", String(value)));
+      activityHostsEl.appendChild(tr);
+    }
+
+    // Bars are scaled to the busiest hour
+    activityHoursEl.textContent = "";
+    const max = Math.max(1, ...hours.map((h) => Math.max(h.block, h.unlock)));
+    hours.forEach((h, hour) => {
+      const column = el("div", "opt-hour");
+      const from = `${String(hour).padStart(2, "0")}:00`;
+      const to = `${String((hour + 1) % 24).padStart(2, "0")}:00`;
+      column.title = `${from}–${to}: ${h.block} blocked, ${h.unlock} unlocked`;
+      for (const type of ["block", "unlock"]) {
+        const bar = el("div", `opt-hour-bar opt-hours-${type}`);
+        bar.style.height = `${(h[type] / max) * 100}%`;
+        column.appendChild(bar);
+      }
+      if (hour % 6 === 0) column.appendChild(el("span", "opt-hour-label", `${hour}:00`));
+      activityHoursEl.appendChild(column);
+    });
+
+    activityReasonsEl.textContent = "";
+    if (!reasons.length) activityReasonsEl.appendChild(el("li", "", "No reasons given in this period."));
+    for (const { reason, count } of reasons.slice(0, HISTORY_HOSTS)) {
+      const li = el("li");
+      li.appendChild(el("span", "opt-pending-text", reason));
+      li.appendChild(el("span", "opt-pending-when", `${count}×`));
+      activityReasonsEl.appendChild(li);
+    }
+
+    activityListEl.textContent = "";
+    for (const event of events.slice(-HISTORY_EVENTS).reverse()) {
+      const li = el("li");
+      li.appendChild(el("span", "opt-pending-text", SiteBlockerActivity.describe(event)));
+      li.appendChild(el("span", "opt-pending-when", new Date(event.at).toLocaleString()));
+      activityListEl.appendChild(li);
+    }
+  }
+
+  function exportActivity() {
+    if (!state.activityLog.length) {
+      setStatus("The activity log is empty.", true, 4000);
+      return;
+    }
+    const ts = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    download(`site-blocker-activity-${ts}.csv`, SiteBlockerActivity.toCsv(state.activityLog), "text/csv");
+    setStatus("Exported the activity log.");
+  }
+
   // ------- Load/Save -------
 
   async function loadSettings() {
@@ -170,67 +875,368 @@ if (typeof browser === "undefined") {
     state.storageArea = blockedStorage === "local" ? "local" : "sync";
     blockedStorageSelect.value = state.storageArea;
 
-    const { blockedSites } = await storage(state.storageArea).get({ blockedSites: [] });
-    state.prevBlockedSites = normalizeSites(blockedSites || []);
-    fillSites(state.prevBlockedSites);
+    const { adminHash, groupUnlockHashes } = await storage("local").get({ adminHash: "", groupUnlockHashes: {} });
+    state.adminHash = adminHash || "";
+    state.groupHashes = groupUnlockHashes || {};
+    setAdminStatus(state.adminHash);
+
+    const items = await storage(state.storageArea).get({
+      blockedGroups: null,
+      blockedSites: [],
+      focusSites: [],
+      subscriptions: [],
+      keywordRules: []
+    });
+    state.prevGroups = SiteBlockerGroups.fromStorage(items);
+    fillGroups(state.prevGroups);
+    const { focusSites } = items;
+    state.prevFocusSites = normalizeSites(focusSites || []);
+    focusSitesEl.value = state.prevFocusSites.join("\n");
+    state.prevKeywordRules = SiteBlockerKeywords.normalizeRules(items.keywordRules);
+    fillKeywordRules(state.prevKeywordRules);
+    state.prevSubscriptions = SiteBlockerSubscriptions.normalizeSubscriptions(items.subscriptions);
+    state.subscriptions = state.prevSubscriptions.slice();
+    const { subscriptionCache } = await storage("local").get({ subscriptionCache: {} });
+    state.subscriptionCache = subscriptionCache || {};
+    renderSubscriptions();
 
     const { masterHash } = await storage("local").get({ masterHash: "" });
     state.masterHash = masterHash || "";
-    setPasswordStatus(Boolean(state.masterHash));
+    setPasswordStatus(state.masterHash);
+
+    const { enforcementMode } = await storage("local").get({ enforcementMode: "overlay" });
+    enforcementModeSelect.value = enforcementMode === "network" ? "network" : "overlay";
+
+    const { budgetResetHour, budgetExtraMinutes } = await storage("local").get({
+      budgetResetHour: 0,
+      budgetExtraMinutes: 5
+    });
+    budgetResetHourSelect.value = String(budgetResetHour);
+    budgetExtraMinutesEl.value = String(budgetExtraMinutes);
+
+    const { unlockDefaultDuration, unlockMaxDuration } = await storage("local").get({
+      unlockDefaultDuration: "15",
+      unlockMaxDuration: "session"
+    });
+    unlockDefaultSelect.value = UNLOCK_DURATION_ORDER[durationRank(unlockDefaultDuration)];
+    unlockMaxSelect.value = UNLOCK_DURATION_ORDER[durationRank(unlockMaxDuration)];
+
+    const { challengeSettings } = await storage("local").get({ challengeSettings: null });
+    const challenges = SiteBlockerChallenges.normalizeSettings(challengeSettings);
+    challengeTypingLengthEl.value = String(challenges.typingLength);
+    challengeCountdownSecondsEl.value = String(challenges.countdownSeconds);
+    challengeMathProblemsEl.value = String(challenges.mathProblems);
+    challengeMathDifficultySelect.value = challenges.mathDifficulty;
+
+    const { unlockReasonRequired, activityRetentionDays, activityLog } = await storage("local").get({
+      unlockReasonRequired: false,
+      activityRetentionDays: SiteBlockerActivity.DEFAULT_RETENTION_DAYS,
+      activityLog: []
+    });
+    unlockReasonRequiredEl.checked = Boolean(unlockReasonRequired);
+    activityRetentionSelect.value = String(SiteBlockerActivity.normalizeRetention(activityRetentionDays));
+    state.activityLog = Array.isArray(activityLog) ? activityLog : [];
+    renderHistory();
+
+    const { commitmentDelayHours, pendingChanges } = await storage("local").get({
+      commitmentDelayHours: 0,
+      pendingChanges: []
+    });
+    state.commitmentDelayHours = Number(commitmentDelayHours) || 0;
+    commitmentDelaySelect.value = String(state.commitmentDelayHours);
+    state.pendingChanges = Array.isArray(pendingChanges) ? pendingChanges : [];
+    renderPendingChanges();
 
     masterPasswordEl.value = ""; // never prefill
+    adminPasswordEl.value = "";
+  }
+
+  // ------- Admin sign-in -------
+
+  // The settings stay hidden until the admin password is entered (when one is set)
+  async function openSettings() {
+    const { adminHash } = await storage("local").get({ adminHash: "" });
+    if (!adminHash) {
+      showSettings();
+      return;
+    }
+    adminGateEl.hidden = false;
+    adminGatePasswordEl.focus();
+  }
+
+  async function showSettings() {
+    await loadSettings();
+    adminGateEl.hidden = true;
+    settingsEl.hidden = false;
+  }
+
+  // Checked by background, with the same failed-attempt counter and lockouts as unlocking a site
+  async function handleAdminSignIn() {
+    adminGateErrorEl.textContent = "";
+    const password = adminGatePasswordEl.value || "";
+    const result = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: "VERIFY_ADMIN", password }, (response) => {
+        void chrome.runtime.lastError;
+        resolve(response || { error: "unexpected" });
+      });
+    });
+    adminGatePasswordEl.value = "";
+    if (result.ok || result.error === "no-password") {
+      // "no-password": the admin password was removed in the meantime
+      await showSettings();
+    } else if (result.error) {
+      adminGateErrorEl.textContent = "Could not check the password. Please try again.";
+    } else if (result.lockedUntil > Date.now()) {
+      const seconds = Math.ceil((result.lockedUntil - Date.now()) / 1000);
+      adminGateErrorEl.textContent = `Incorrect password. Try again in ${seconds} seconds.`;
+    } else {
+      adminGateErrorEl.textContent = "Incorrect password.";
+    }
   }
 
-  async function saveNow({ newSites, newStorageArea, newPw }) {
+  /**
+   * effective: { groups, focusSites, subscriptions, keywordRules, masterHash, adminHash, groupHashes,
+   * commitmentDelayHours } to save now (masterHash/adminHash "" keep the current one, adminHash null removes it); queuedChanges: new pending
+   * changes from SiteBlockerCommitment.plan()
+   */
+  async function saveNow({
+    effective,
+    queuedChanges,
+    newStorageArea,
+    unlockDurations,
+    challengeSettings,
+    activitySettings,
+    enforcementMode,
+    budgetSettings
+  }) {
+    const { groups, focusSites, subscriptions, keywordRules, masterHash, adminHash, commitmentDelayHours } = effective;
+    // Passwords of groups that are gone go with them
+    const groupHashes = {};
+    for (const g of groups) {
+      if (effective.groupHashes[g.id]) groupHashes[g.id] = effective.groupHashes[g.id];
+    }
+
     // Save blocked sites and storage preference
-    await storage("local").set({ blockedStorage: newStorageArea });
-    await storage(newStorageArea).set({ blockedSites: newSites });
+    await storage("local").set({
+      blockedStorage: newStorageArea,
+      enforcementMode,
+      commitmentDelayHours,
+      ...unlockDurations,
+      challengeSettings,
+      ...activitySettings,
+      ...budgetSettings
+    });
+    await storage(newStorageArea).set({ blockedGroups: groups, focusSites, subscriptions, keywordRules });
+    await storage(newStorageArea).remove("blockedSites"); // legacy flat list, now in blockedGroups
+
+    // Update password hash only if a new one takes effect now
+    if (masterHash) {
+      await storage("local").set({ masterHash });
+      state.masterHash = masterHash;
+    }
+    if (adminHash !== "") {
+      await storage("local").set({ adminHash: adminHash || "" });
+      state.adminHash = adminHash || "";
+    }
+    await storage("local").set({ groupUnlockHashes: groupHashes });
+    state.groupHashes = groupHashes;
 
-    // Update password hash only if provided
-    if ((newPw || "").trim().length > 0) {
-      const hash = await sha256Hex(newPw.trim());
-      await storage("local").set({ masterHash: hash });
-      state.masterHash = hash;
+    if (queuedChanges.length) {
+      state.pendingChanges = state.pendingChanges.concat(queuedChanges);
+      await storage("local").set({ pendingChanges: state.pendingChanges });
     }
 
     // Update UI state
     state.storageArea = newStorageArea;
-    state.prevBlockedSites = newSites;
-    setPasswordStatus(Boolean(state.masterHash));
+    state.prevGroups = groups;
+    state.prevFocusSites = focusSites;
+    state.prevSubscriptions = subscriptions;
+    state.subscriptions = subscriptions.slice();
+    state.prevKeywordRules = keywordRules;
+    state.commitmentDelayHours = commitmentDelayHours;
+    setPasswordStatus(state.masterHash);
+    setAdminStatus(state.adminHash);
 
     // Reflect in controls
     blockedStorageSelect.value = state.storageArea;
-    fillSites(state.prevBlockedSites);
+    fillGroups(state.prevGroups);
+    focusSitesEl.value = focusSites.join("\n");
+    fillKeywordRules(keywordRules);
+    renderSubscriptions();
+    commitmentDelaySelect.value = String(commitmentDelayHours);
     masterPasswordEl.value = "";
+    adminPasswordEl.value = "";
+    renderPendingChanges();
 
-    setStatus("Settings saved.");
+    if (queuedChanges.length) {
+      setStatus(
+        `Settings saved. ${queuedChanges.length} change${queuedChanges.length === 1 ? "" : "s"} will take effect ` +
+          `after the commitment delay (see Pending changes).`,
+        false,
+        6000
+      );
+    } else {
+      setStatus("Settings saved.");
+    }
   }
 
   async function handleSaveClick(e) {
     e.preventDefault();
 
     const newStorageArea = blockedStorageSelect.value === "local" ? "local" : "sync";
-    const newSites = parseSites(blockedSitesEl.value);
-    const removed = arrayRemoved(state.prevBlockedSites, newSites);
-    const hasRemovals = removed.length > 0;
+    const newGroups = readGroups();
+    const newFocusSites = parseSites(focusSitesEl.value);
+    const removedFocus = arrayRemoved(state.prevFocusSites, newFocusSites);
+    const removed = removedEntries(state.prevGroups, newGroups).concat(removedFocus);
+    const exceptions = addedExceptions(state.prevGroups, newGroups).concat(
+      arrayRemoved(newFocusSites, state.prevFocusSites).filter(isExceptionEntry)
+    );
+    const unsubscribed = state.prevSubscriptions.filter((p) => !state.subscriptions.some((s) => s.id === p.id));
+    const newKeywordRules = readKeywordRules();
+    const removedRules = removedKeywordRules(state.prevKeywordRules, SiteBlockerKeywords.normalizeRules(newKeywordRules));
+    const hasRemovals =
+      removed.length > 0 || exceptions.length > 0 || unsubscribed.length > 0 || removedRules.length > 0;
+    const unprotected = unprotectedGroups(state.prevGroups, newGroups);
     const newPw = (masterPasswordEl.value || "").trim();
+    const newAdminPw = (adminPasswordEl.value || "").trim();
+
+    if (newGroups.some((g) => !g.name)) {
+      setStatus("Not saved. Every group needs a name.", true, 4000);
+      return;
+    }
+
+    const entryErrors = findGroupErrors(newGroups).concat(findFocusEntryErrors(newFocusSites));
+    if (entryErrors.length) {
+      setStatus(`Not saved. ${describeEntryErrors(entryErrors)}`, true, 8000);
+      return;
+    }
+
+    const keywordError = SiteBlockerKeywords.validateRules(newKeywordRules);
+    if (keywordError) {
+      setStatus(`Not saved. ${keywordError}`, true, 5000);
+      return;
+    }
+
+    const { focusSession } = await storage("local").get({ focusSession: null });
+    if (removedFocus.length && focusSession && focusSession.endsAt > Date.now()) {
+      setStatus("A focus session is running. Entries can be removed from the focus list after it ends.", true, 5000);
+      return;
+    }
 
-    // Rule: cannot remove blocked sites unless a master password is set
-    if (!state.masterHash && hasRemovals) {
-      setStatus("You cannot remove blocked sites without a master password. Set a master password first.", true, 4000);
+    const { hashes: newGroupHashes, error: groupPasswordError } = await readGroupHashes(newGroups);
+    if (groupPasswordError) {
+      setStatus(`Not saved. ${groupPasswordError}`, true, 5000);
       return;
     }
 
-    // Require confirmation ONLY when deletions happen (and a password exists)
-    if (state.masterHash && hasRemovals) {
-      pendingSave = { newSites, newStorageArea, newPw };
-      showConfirmModal();
+    const enforcementMode = enforcementModeSelect.value === "network" ? "network" : "overlay";
+
+    const budgetExtraMinutes = Number(budgetExtraMinutesEl.value);
+    if (!Number.isInteger(budgetExtraMinutes) || budgetExtraMinutes < 1 || budgetExtraMinutes > 120) {
+      setStatus("Extra time per unlock must be a whole number of minutes between 1 and 120.", true, 4000);
+      return;
+    }
+    const budgetSettings = { budgetResetHour: Number(budgetResetHourSelect.value) || 0, budgetExtraMinutes };
+    const unlockDurations = {
+      unlockDefaultDuration: unlockDefaultSelect.value,
+      unlockMaxDuration: unlockMaxSelect.value
+    };
+    if (durationRank(unlockDurations.unlockDefaultDuration) > durationRank(unlockDurations.unlockMaxDuration)) {
+      setStatus("The default unlock duration cannot be longer than the maximum.", true, 4000);
+      return;
+    }
+
+    const challengeSettings = {
+      typingLength: Number(challengeTypingLengthEl.value),
+      countdownSeconds: Number(challengeCountdownSecondsEl.value),
+      mathProblems: Number(challengeMathProblemsEl.value),
+      mathDifficulty: challengeMathDifficultySelect.value
+    };
+    const activitySettings = {
+      unlockReasonRequired: unlockReasonRequiredEl.checked,
+      activityRetentionDays: SiteBlockerActivity.normalizeRetention(activityRetentionSelect.value)
+    };
+
+    const challengeLimits = [
+      ["typingLength", "The passage length must be a whole number of characters"],
+      ["countdownSeconds", "The countdown must be a whole number of seconds"],
+      ["mathProblems", "The number of arithmetic problems must be a whole number"]
+    ];
+    for (const [key, text] of challengeLimits) {
+      const [min, max] = SiteBlockerChallenges.LIMITS[key];
+      if (!Number.isInteger(challengeSettings[key]) || challengeSettings[key] < min || challengeSettings[key] > max) {
+        setStatus(`${text} between ${min} and ${max}.`, true, 4000);
+        return;
+      }
+    }
+
+    // Changes that lower protection are held back in commitment mode
+    const prev = {
+      groups: state.prevGroups,
+      focusSites: state.prevFocusSites,
+      subscriptions: state.prevSubscriptions,
+      keywordRules: state.prevKeywordRules,
+      masterHash: state.masterHash,
+      adminHash: state.adminHash,
+      groupHashes: state.groupHashes,
+      commitmentDelayHours: state.commitmentDelayHours
+    };
+    let adminHash = "";
+    if (removeAdminEl.checked) adminHash = null;
+    else if (newAdminPw) adminHash = await SiteBlockerPassword.hashPassword(newAdminPw);
+    const next = {
+      groups: newGroups,
+      focusSites: newFocusSites,
+      subscriptions: state.subscriptions,
+      keywordRules: SiteBlockerKeywords.normalizeRules(newKeywordRules),
+      masterHash: newPw ? await SiteBlockerPassword.hashPassword(newPw) : "",
+      adminHash,
+      groupHashes: newGroupHashes,
+      commitmentDelayHours: Number(commitmentDelaySelect.value) || 0
+    };
+    const { effective, changes: queuedChanges } = SiteBlockerCommitment.plan(prev, next, state.pendingChanges);
+    const saveArgs = {
+      effective,
+      queuedChanges,
+      newStorageArea,
+      unlockDurations,
+      challengeSettings,
+      activitySettings,
+      enforcementMode,
+      budgetSettings
+    };
+
+    // Rule: cannot remove blocked sites, add exceptions or turn off protected groups unless a master password is set
+    if (!state.masterHash && !state.adminHash && (hasRemovals || unprotected.length)) {
+      setStatus(
+        "You cannot remove blocked sites, add exceptions or turn off protected groups without a master password. " +
+          "Set a master password first.",
+        true,
+        4000
+      );
+      return;
+    }
+
+    // Require confirmation ONLY when deletions happen or protection is lowered (and a password exists)
+    if (hasRemovals || unprotected.length) {
+      const reasons = [];
+      if (removed.length) reasons.push("removing sites from the blocked list");
+      if (exceptions.length) reasons.push(`adding exceptions (${exceptions.join(", ")})`);
+      if (removedRules.length) {
+        reasons.push(`removing or changing keyword rules (${removedRules.map((r) => `"${r.keyword}"`).join(", ")})`);
+      }
+      if (unsubscribed.length) reasons.push(`unsubscribing from ${unsubscribed.map((s) => s.url).join(", ")}`);
+      if (unprotected.length) {
+        reasons.push(`turning off password-protected groups (${unprotected.map((g) => g.name).join(", ")})`);
+      }
+      pendingSave = saveArgs;
+      showConfirmModal(`You are ${reasons.join(" and ")}. Enter the current ${confirmCredentialName()} to confirm.`);
       return;
     }
 
     // No deletions (or no password and no deletions): save directly
     try {
-      await saveNow({ newSites, newStorageArea, newPw });
+      await saveNow(saveArgs);
     } catch (err) {
       console.error(err);
       setStatus("Failed to save settings.", true, 4000);
@@ -239,8 +1245,8 @@ if (typeof browser === "undefined") {
 
   // Import/Export
 
-  function download(filename, text) {
-    const blob = new Blob([text], { type: "application/json" });
+  function download(filename, text, type = "application/json") {
+    const blob = new Blob([text], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -251,80 +1257,466 @@ if (typeof browser === "undefined") {
     URL.revokeObjectURL(url);
   }
 
+  // Plain JSON, or the encrypted form of it when a passphrase is given
   async function exportSettings() {
+    const passphrase = exportPassphraseEl.value || "";
+    if (passphrase !== (exportPassphraseRepeatEl.value || "")) {
+      setStatus("The passphrases do not match.", true, 4000);
+      return;
+    }
+
     const { blockedStorage } = await storage("local").get({ blockedStorage: "sync" });
     const area = blockedStorage === "local" ? "local" : "sync";
-    const { blockedSites } = await storage(area).get({ blockedSites: [] });
-    const { masterHash } = await storage("local").get({ masterHash: "" });
+    const items = await storage(area).get({
+      blockedGroups: null,
+      blockedSites: [],
+      focusSites: [],
+      subscriptions: [],
+      keywordRules: []
+    });
+    const { masterHash, adminHash, groupUnlockHashes } = await storage("local").get({
+      masterHash: "",
+      adminHash: "",
+      groupUnlockHashes: {}
+    });
 
     const payload = {
-      version: 1,
+      version: 3,
       exportedAt: new Date().toISOString(),
       blockedStorage: area,
-      blockedSites: blockedSites || [],
-      masterHash: masterHash || ""
+      blockedGroups: SiteBlockerGroups.fromStorage(items),
+      focusSites: items.focusSites || [],
+      subscriptions: SiteBlockerSubscriptions.normalizeSubscriptions(items.subscriptions),
+      keywordRules: SiteBlockerKeywords.normalizeRules(items.keywordRules),
+      masterHash: masterHash || "",
+      adminHash: adminHash || "",
+      groupUnlockHashes: groupUnlockHashes || {}
     };
 
     const ts = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
-    download(`site-blocker-settings-${ts}.json`, JSON.stringify(payload, null, 2));
-    setStatus("Exported settings.");
+    const text = JSON.stringify(payload, null, 2);
+    if (passphrase) {
+      const encrypted = await SiteBlockerBackup.encrypt(text, passphrase);
+      download(`site-blocker-settings-${ts}.encrypted.json`, JSON.stringify(encrypted, null, 2));
+      exportPassphraseEl.value = "";
+      exportPassphraseRepeatEl.value = "";
+      setStatus("Exported encrypted settings.");
+    } else {
+      download(`site-blocker-settings-${ts}.json`, text);
+      setStatus("Exported settings.");
+    }
   }
 
   function validateImportedConfig(obj) {
     if (typeof obj !== "object" || obj === null) return "Invalid file format.";
-    if (!("blockedSites" in obj) || !Array.isArray(obj.blockedSites)) return "Missing or invalid 'blockedSites'.";
+    // Version 3 files carry groups; older ones a flat list
+    if ("blockedGroups" in obj) {
+      const groupError = SiteBlockerGroups.validateGroups(obj.blockedGroups);
+      if (groupError) return `Invalid 'blockedGroups'. ${groupError}`;
+      const entryErrors = findGroupErrors(SiteBlockerGroups.normalizeGroups(obj.blockedGroups));
+      if (entryErrors.length) return `Invalid 'blockedGroups' entries. ${describeEntryErrors(entryErrors)}`;
+    } else {
+      if (!("blockedSites" in obj) || !Array.isArray(obj.blockedSites)) return "Missing or invalid 'blockedSites'.";
+      if (obj.blockedSites.some((s) => typeof s !== "string")) return "Invalid 'blockedSites' entries.";
+      const entryErrors = findEntryErrors(obj.blockedSites.map((s) => s.trim()).filter(Boolean));
+      if (entryErrors.length) return `Invalid 'blockedSites' entries. ${describeEntryErrors(entryErrors)}`;
+    }
+    if ("focusSites" in obj) {
+      if (!Array.isArray(obj.focusSites) || obj.focusSites.some((s) => typeof s !== "string")) {
+        return "Invalid 'focusSites' entries.";
+      }
+      const focusErrors = findFocusEntryErrors(obj.focusSites.map((s) => s.trim()).filter(Boolean));
+      if (focusErrors.length) return `Invalid 'focusSites' entries. ${describeEntryErrors(focusErrors)}`;
+    }
+    if ("keywordRules" in obj) {
+      const keywordError = SiteBlockerKeywords.validateRules(obj.keywordRules);
+      if (keywordError) return `Invalid 'keywordRules'. ${keywordError}`;
+    }
+    if ("subscriptions" in obj) {
+      const list = obj.subscriptions;
+      if (!Array.isArray(list) || list.some((s) => !s || typeof s.url !== "string")) return "Invalid 'subscriptions' value.";
+      const badUrl = list.find((s) => SiteBlockerSubscriptions.validateSubscriptionUrl(s.url));
+      if (badUrl) return `Invalid 'subscriptions' address "${badUrl.url}".`;
+    }
     if ("blockedStorage" in obj && !["local", "sync"].includes(obj.blockedStorage)) return "Invalid 'blockedStorage' value.";
-    if ("masterHash" in obj && typeof obj.masterHash !== "string") return "Invalid 'masterHash' value.";
+    // Version 1 files carry a bare SHA-256 hex string; later versions a PBKDF2 hash record
+    if ("masterHash" in obj && !SiteBlockerPassword.isValidStoredHash(obj.masterHash)) return "Invalid 'masterHash' value.";
+    if ("adminHash" in obj && obj.adminHash !== "" && !SiteBlockerPassword.isHashRecord(obj.adminHash)) {
+      return "Invalid 'adminHash' value.";
+    }
+    if ("groupUnlockHashes" in obj) {
+      const hashes = obj.groupUnlockHashes;
+      if (!hashes || typeof hashes !== "object" || Array.isArray(hashes)) return "Invalid 'groupUnlockHashes' value.";
+      if (!Object.values(hashes).every((h) => SiteBlockerPassword.isHashRecord(h))) return "Invalid 'groupUnlockHashes' value.";
+    }
     return null;
   }
 
-  async function importSettingsFromObject(obj) {
+  // File being imported: { file } while it still needs its passphrase, then { obj, plan }
+  let pendingImport = null;
+
+  function selectedImportMode() {
+    const checked = importModalEl.querySelector('input[name="importMode"]:checked');
+    return checked ? checked.value : "merge";
+  }
+
+  function sameHash(a, b) {
+    return JSON.stringify(a || "") === JSON.stringify(b || "");
+  }
+
+  function describeHashChange(name, before, after) {
+    if (sameHash(before, after)) return null;
+    if (!before) return `The ${name} will be set.`;
+    return after ? `The ${name} will change.` : `The ${name} will be removed.`;
+  }
+
+  /**
+   * What importing obj would save: { result, added, removed, passwordChanges, error }.
+   * "merge" only adds: entries join the group with the same id or name, passwords already set are kept.
+   * "replace" saves the file as it is (fields missing from older files keep their current value).
+   */
+  function planImport(obj, mode) {
+    const imported = SiteBlockerGroups.fromStorage({ blockedGroups: obj.blockedGroups, blockedSites: obj.blockedSites });
+    const importedFocus = "focusSites" in obj ? normalizeSites(obj.focusSites) : [];
+    const importedHashes = obj.groupUnlockHashes || {};
+    const importedSubscriptions = SiteBlockerSubscriptions.normalizeSubscriptions(obj.subscriptions);
+    const importedRules = SiteBlockerKeywords.normalizeRules(obj.keywordRules);
+    const result = { groupHashes: {} };
+
+    if (mode === "merge") {
+      result.area = state.storageArea;
+      result.groups = SiteBlockerBackup.mergeGroups(state.prevGroups, imported);
+      result.focusSites = state.prevFocusSites.concat(importedFocus.filter((s) => !state.prevFocusSites.includes(s)));
+      result.subscriptions = state.prevSubscriptions.concat(
+        importedSubscriptions.filter((s) => !state.prevSubscriptions.some((p) => p.url === s.url))
+      );
+      result.keywordRules = SiteBlockerKeywords.normalizeRules(state.prevKeywordRules.concat(importedRules));
+      result.masterHash = state.masterHash || obj.masterHash || "";
+      result.adminHash = state.adminHash || obj.adminHash || "";
+      for (const g of result.groups) {
+        const hash = state.groupHashes[g.id] || (!state.prevGroups.some((p) => p.id === g.id) && importedHashes[g.id]);
+        if (hash) result.groupHashes[g.id] = hash;
+      }
+    } else {
+      result.area = obj.blockedStorage === "local" ? "local" : "sync";
+      result.groups = imported;
+      // Older files have no focus list; keep the current one
+      result.focusSites = "focusSites" in obj ? importedFocus : state.prevFocusSites;
+      result.subscriptions = "subscriptions" in obj ? importedSubscriptions : state.prevSubscriptions;
+      result.keywordRules = "keywordRules" in obj ? importedRules : state.prevKeywordRules;
+      result.masterHash = "masterHash" in obj ? obj.masterHash || "" : state.masterHash;
+      result.adminHash = "adminHash" in obj ? obj.adminHash || "" : state.adminHash;
+      // Files without unlock passwords leave every group on the master password
+      for (const g of result.groups) {
+        if (importedHashes[g.id]) result.groupHashes[g.id] = importedHashes[g.id];
+      }
+    }
+
+    const diff = SiteBlockerBackup.diffGroups(state.prevGroups, result.groups);
+    const { removed } = diff;
+    const focusAdded = arrayRemoved(result.focusSites, state.prevFocusSites);
+    const focusRemoved = arrayRemoved(state.prevFocusSites, result.focusSites);
+    if (focusAdded.length) diff.added.push({ group: "Focus list", sites: focusAdded });
+    if (focusRemoved.length) removed.push({ group: "Focus list", sites: focusRemoved });
+    // Added exceptions unblock like removals, so they are listed (and confirmed) apart from other additions
+    const added = [];
+    const exceptions = [];
+    for (const { group, sites } of diff.added) {
+      const plain = sites.filter((s) => !isExceptionEntry(s));
+      const excepted = sites.filter(isExceptionEntry);
+      if (plain.length) added.push({ group, sites: plain });
+      if (excepted.length) exceptions.push({ group, sites: excepted });
+    }
+    const urls = (list) => list.map((s) => s.url);
+    const subscribed = arrayRemoved(urls(result.subscriptions), urls(state.prevSubscriptions));
+    const unsubscribed = arrayRemoved(urls(state.prevSubscriptions), urls(result.subscriptions));
+    if (subscribed.length) added.push({ group: "Subscribed lists", sites: subscribed });
+    if (unsubscribed.length) removed.push({ group: "Subscribed lists", sites: unsubscribed });
+    const rulesAdded = removedKeywordRules(result.keywordRules, state.prevKeywordRules);
+    const rulesRemoved = removedKeywordRules(state.prevKeywordRules, result.keywordRules);
+    if (rulesAdded.length) added.push({ group: "Keyword rules", sites: rulesAdded.map(SiteBlockerKeywords.describeRule) });
+    if (rulesRemoved.length) {
+      removed.push({ group: "Keyword rules", sites: rulesRemoved.map(SiteBlockerKeywords.describeRule) });
+    }
+
+    const passwordChanges = [
+      describeHashChange("master password", state.masterHash, result.masterHash),
+      describeHashChange("admin password", state.adminHash, result.adminHash)
+    ];
+    const groupIds = new Set(Object.keys(state.groupHashes).concat(Object.keys(result.groupHashes)));
+    for (const id of groupIds) {
+      const group = result.groups.find((g) => g.id === id);
+      if (!group) continue; // the group itself is removed
+      passwordChanges.push(
+        describeHashChange(`unlock password of "${group.name}"`, state.groupHashes[id], result.groupHashes[id])
+      );
+    }
+
+    // Turning off or unprotecting a password-protected group needs the password, as when saving
+    const unprotected = unprotectedGroups(state.prevGroups, result.groups);
+
+    return {
+      result,
+      added,
+      removed,
+      exceptions,
+      unprotected,
+      focusRemoved,
+      passwordChanges: passwordChanges.filter(Boolean)
+    };
+  }
+
+  function showImportModal() {
+    importErrorEl.textContent = "";
+    importModalEl.classList.add("open");
+    importModalEl.setAttribute("aria-hidden", "false");
+    document.documentElement.style.overflow = "hidden";
+  }
+
+  function hideImportModal() {
+    importModalEl.classList.remove("open");
+    importModalEl.setAttribute("aria-hidden", "true");
+    importPassphraseEl.value = "";
+    importPasswordEl.value = "";
+    importErrorEl.textContent = "";
+    pendingImport = null;
+    document.documentElement.style.overflow = "";
+  }
+
+  function showPassphraseStep(file) {
+    pendingImport = { file };
+    importPassphraseStepEl.hidden = false;
+    importPreviewStepEl.hidden = true;
+    importApplyBtn.textContent = "Decrypt";
+    showImportModal();
+    setTimeout(() => importPassphraseEl.focus(), 0);
+  }
+
+  function showPreviewStep(obj) {
+    pendingImport = { obj, plan: null };
+    importPassphraseStepEl.hidden = true;
+    importPreviewStepEl.hidden = false;
+    importApplyBtn.textContent = "Import";
+    renderImportPreview();
+    showImportModal();
+  }
+
+  function renderImportPreview() {
+    const plan = planImport(pendingImport.obj, selectedImportMode());
+    pendingImport.plan = plan;
+    importErrorEl.textContent = "";
+
+    importChangesEl.textContent = "";
+    for (const { group, sites } of plan.added) {
+      importChangesEl.appendChild(el("li", "", `${group}: adds ${sites.join(", ")}`));
+    }
+    for (const { group, sites } of plan.removed) {
+      importChangesEl.appendChild(el("li", "opt-import-removed", `${group}: removes ${sites.join(", ")}`));
+    }
+    for (const { group, sites } of plan.exceptions) {
+      importChangesEl.appendChild(el("li", "opt-import-removed", `${group}: adds the exceptions ${sites.join(", ")}`));
+    }
+    for (const group of plan.unprotected) {
+      importChangesEl.appendChild(
+        el("li", "opt-import-removed", `${group.name}: turned off or no longer needs the password to turn off`)
+      );
+    }
+    for (const text of plan.passwordChanges) importChangesEl.appendChild(el("li", "opt-import-removed", text));
+    if (!importChangesEl.children.length) {
+      importChangesEl.appendChild(el("li", "", "No entries or passwords change."));
+    }
+
+    // Same rule as saving: removals, added exceptions, unprotected groups (and now password changes) need the
+    // current password
+    const reasons = [];
+    if (plan.removed.length) reasons.push("removes entries");
+    if (plan.exceptions.length) reasons.push("adds exceptions");
+    if (plan.unprotected.length) reasons.push("turns off password-protected groups");
+    if (plan.passwordChanges.length) reasons.push("changes a password");
+    const needsPassword = reasons.length > 0 && Boolean(state.masterHash || state.adminHash);
+    importConfirmRowEl.hidden = !needsPassword;
+    importPasswordEl.placeholder = state.adminHash ? "Admin password" : "Master password";
+    if (needsPassword) {
+      importConfirmTextEl.textContent =
+        `This import ${reasons.join(" and ")}. Enter the current ${confirmCredentialName()} to confirm.`;
+    }
+  }
+
+  async function decryptPendingImport() {
+    const passphrase = importPassphraseEl.value || "";
+    if (!passphrase) {
+      importErrorEl.textContent = "Please enter the passphrase.";
+      return;
+    }
+    let obj;
+    try {
+      obj = JSON.parse(await SiteBlockerBackup.decrypt(pendingImport.file, passphrase));
+    } catch {
+      importErrorEl.textContent = "Wrong passphrase, or the file is damaged.";
+      return;
+    }
     const err = validateImportedConfig(obj);
     if (err) {
-      setStatus(err, true, 4000);
+      importErrorEl.textContent = err;
       return;
     }
+    showPreviewStep(obj);
+  }
+
+  async function applyPendingImport() {
+    const { plan } = pendingImport;
+    const { result } = plan;
 
-    const area = obj.blockedStorage === "local" ? "local" : (obj.blockedStorage === "sync" ? "sync" : "sync");
+    if (plan.removed.length && !state.masterHash && !state.adminHash) {
+      importErrorEl.textContent =
+        "This import removes entries, which needs a master password. Set one first, or choose Merge.";
+      return;
+    }
+    if (plan.exceptions.length && !state.masterHash && !state.adminHash) {
+      importErrorEl.textContent = "This import adds exceptions, which needs a master password. Set one first.";
+      return;
+    }
+    if (plan.unprotected.length && !state.masterHash && !state.adminHash) {
+      importErrorEl.textContent =
+        "This import turns off password-protected groups, which needs a master password. Set one first, or choose Merge.";
+      return;
+    }
+    if (!importConfirmRowEl.hidden && !(await verifyCurrentPassword(importPasswordEl, importErrorEl))) return;
 
-    // Save masterHash locally (if provided)
-    if (typeof obj.masterHash === "string") {
-      await storage("local").set({ masterHash: obj.masterHash });
-      state.masterHash = obj.masterHash || "";
+    const { focusSession } = await storage("local").get({ focusSession: null });
+    if (focusSession && focusSession.endsAt > Date.now() && plan.focusRemoved.length) {
+      importErrorEl.textContent = "A focus session is running. Entries cannot be removed from the focus list until it ends.";
+      return;
     }
 
-    // Save blocked list to chosen area and remember the area locally
-    const sites = normalizeSites(obj.blockedSites || []);
-    await storage(area).set({ blockedSites: sites });
-    await storage("local").set({ blockedStorage: area });
+    await storage("local").set({
+      masterHash: result.masterHash,
+      adminHash: result.adminHash,
+      groupUnlockHashes: result.groupHashes
+    });
+    await storage(result.area).set({
+      blockedGroups: result.groups,
+      focusSites: result.focusSites,
+      subscriptions: result.subscriptions,
+      keywordRules: result.keywordRules
+    });
+    await storage(result.area).remove("blockedSites");
+    await storage("local").set({ blockedStorage: result.area });
 
     // Refresh UI/state
-    state.storageArea = area;
-    state.prevBlockedSites = sites;
-    setPasswordStatus(Boolean(state.masterHash));
+    state.masterHash = result.masterHash;
+    state.adminHash = result.adminHash;
+    state.groupHashes = result.groupHashes;
+    state.storageArea = result.area;
+    state.prevGroups = result.groups;
+    state.prevFocusSites = result.focusSites;
+    state.prevSubscriptions = result.subscriptions;
+    state.subscriptions = result.subscriptions.slice();
+    state.prevKeywordRules = result.keywordRules;
+    fillKeywordRules(result.keywordRules);
+    focusSitesEl.value = result.focusSites.join("\n");
+    renderSubscriptions();
+    setPasswordStatus(state.masterHash);
+    setAdminStatus(state.adminHash);
     blockedStorageSelect.value = state.storageArea;
-    fillSites(state.prevBlockedSites);
+    fillGroups(state.prevGroups);
     masterPasswordEl.value = "";
 
+    hideImportModal();
     setStatus("Imported settings.");
   }
 
   async function importSettingsFromFile(file) {
+    // An import can replace everything at once, which would skip the delay
+    if (state.commitmentDelayHours) {
+      setStatus("Importing is disabled while commitment mode is on.", true, 4000);
+      return;
+    }
+
+    let obj;
     try {
-      const text = await file.text();
-      const obj = JSON.parse(text);
-      await importSettingsFromObject(obj);
+      obj = JSON.parse(await file.text());
     } catch (e) {
       console.error(e);
       setStatus("Failed to import: invalid JSON file.", true, 4000);
+      return;
+    }
+
+    if (SiteBlockerBackup.isEncrypted(obj)) {
+      showPassphraseStep(obj);
+      return;
+    }
+    const err = validateImportedConfig(obj);
+    if (err) {
+      setStatus(err, true, 4000);
+      return;
+    }
+    showPreviewStep(obj);
+  }
+
+  function fillResetHourOptions() {
+    for (let h = 0; h < 24; h++) {
+      const option = document.createElement("option");
+      option.value = String(h);
+      option.textContent = `${String(h).padStart(2, "0")}:00`;
+      budgetResetHourSelect.appendChild(option);
     }
   }
 
   // ------- Event wiring -------
 
-  document.addEventListener("DOMContentLoaded", loadSettings);
+  fillResetHourOptions();
+
+  document.addEventListener("DOMContentLoaded", () => {
+    openSettings().catch((err) => console.error(err));
+  });
+
+  adminGateBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    handleAdminSignIn().catch((err) => {
+      console.error(err);
+      adminGateErrorEl.textContent = "Unexpected error. Please try again.";
+    });
+  });
+
+  adminGatePasswordEl.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      adminGateBtn.click();
+    }
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.pendingChanges) handlePendingChangesUpdate(changes.pendingChanges.newValue);
+    if (area === "local" && changes.subscriptionCache) {
+      state.subscriptionCache = changes.subscriptionCache.newValue || {};
+      renderSubscriptions();
+    }
+    if (area === "local" && changes.activityLog) {
+      state.activityLog = changes.activityLog.newValue || [];
+      renderHistory();
+    }
+  });
   saveBtn.addEventListener("click", handleSaveClick);
 
+  addGroupBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    const card = addGroupCard(SiteBlockerGroups.createGroup(""));
+    card.querySelector(".opt-group-name").focus();
+  });
+
+  testBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    renderTestResult().catch((err) => console.error(err));
+  });
+
+  testUrlEl.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      renderTestResult().catch((err) => console.error(err));
+    }
+  });
+
   exportBtn.addEventListener("click", (e) => {
     e.preventDefault();
     exportSettings().catch((err) => {
@@ -338,6 +1730,13 @@ if (typeof browser === "undefined") {
     importFile.click();
   });
 
+  activityRangeSelect.addEventListener("change", renderHistory);
+
+  exportActivityBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    exportActivity();
+  });
+
   importFile.addEventListener("change", (e) => {
     const file = e.target.files && e.target.files[0];
     if (!file) return;
@@ -345,6 +1744,97 @@ if (typeof browser === "undefined") {
     importFile.value = ""; // allow re-import same file later
   });
 
+  addKeywordBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    const card = addKeywordCard({ keyword: "", matchCase: false, wholeWord: true, query: true, title: true, text: false });
+    card.querySelector(".opt-keyword-text").focus();
+  });
+
+  addSubscriptionBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    handleAddSubscription();
+  });
+
+  subscriptionUrlEl.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      handleAddSubscription();
+    }
+  });
+
+  refreshSubscriptionsBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    refreshSubscriptionsNow().catch((err) => {
+      console.error(err);
+      setStatus("Could not update the subscribed lists.", true, 4000);
+    });
+  });
+
+  listTargetSelect.addEventListener("focus", fillListTargets);
+
+  listImportBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    fillListTargets();
+    listImportFile.click();
+  });
+
+  listImportFile.addEventListener("change", async () => {
+    const file = listImportFile.files && listImportFile.files[0];
+    listImportFile.value = "";
+    if (!file) return;
+    try {
+      await importListFromFile(file);
+    } catch (err) {
+      console.error(err);
+      listImportReportEl.textContent = "";
+      setStatus("Failed to read the list file.", true, 4000);
+    }
+  });
+
+  // Import modal
+  for (const radio of importModalEl.querySelectorAll('input[name="importMode"]')) {
+    radio.addEventListener("change", () => {
+      if (pendingImport && pendingImport.obj) renderImportPreview();
+    });
+  }
+
+  importCancelBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    hideImportModal();
+  });
+
+  importApplyBtn.addEventListener("click", async (e) => {
+    e.preventDefault();
+    if (!pendingImport) return;
+    importApplyBtn.disabled = true;
+    try {
+      if (pendingImport.file) await decryptPendingImport();
+      else await applyPendingImport();
+    } catch (err) {
+      console.error(err);
+      importErrorEl.textContent = "Failed to import settings.";
+    } finally {
+      importApplyBtn.disabled = false;
+    }
+  });
+
+  for (const input of [importPassphraseEl, importPasswordEl]) {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        importApplyBtn.click();
+      }
+      if (e.key === "Escape") {
+        e.preventDefault();
+        hideImportModal();
+      }
+    });
+  }
+
+  importModalEl.addEventListener("click", (e) => {
+    if (e.target.classList && e.target.classList.contains("confirm-backdrop")) hideImportModal();
+  });
+
   // Confirm modal buttons
   confirmCancelBtn.addEventListener("click", (e) => {
     e.preventDefault();
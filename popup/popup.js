@@ -0,0 +1,228 @@
+// Firefox/Chrome compatibility
+if (typeof browser === "undefined") {
+  var browser = chrome;
+}
+
+"use strict";
+
+/**
+ * Toolbar popup
+ * - Shows whether the current tab is blocked, unlocked, allowed or unlisted, and which entries match
+ * - "Block this domain" adds the host (without "www.") as a domain entry, to the first enabled group
+ * - "Block this exact page" adds a regex entry matching the page address and nothing under it (any query
+ *   or fragment still matches)
+ * - "Relock now" ends the unlocks of the current tab
+ * - Starts a focus session; ending one early takes a confirmation and the master password
+ * Background owns the blocked list and the unlock state; the popup only sends messages.
+ */
+
+(function () {
+  const $ = (sel) => document.querySelector(sel);
+
+  const hostEl = $("#host");
+  const statusLineEl = $("#statusLine");
+  const rulesEl = $("#rules");
+  const blockDomainBtn = $("#blockDomainBtn");
+  const blockPageBtn = $("#blockPageBtn");
+  const relockBtn = $("#relockBtn");
+  const messageEl = $("#message");
+  const optionsBtn = $("#optionsBtn");
+
+  const focusIdleEl = $("#focusIdle");
+  const focusMinutesEl = $("#focusMinutes");
+  const focusStartBtn = $("#focusStartBtn");
+  const focusRunningEl = $("#focusRunning");
+  const focusUntilEl = $("#focusUntil");
+  const focusEndBtn = $("#focusEndBtn");
+  const focusEndFormEl = $("#focusEndForm");
+  const focusPasswordEl = $("#focusPassword");
+  const focusConfirmBtn = $("#focusConfirmBtn");
+
+  let tab = null;
+
+  function sendMessage(msg) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(msg, (response) => {
+        void chrome.runtime.lastError;
+        resolve(response);
+      });
+    });
+  }
+
+  function getActiveTab() {
+    return new Promise((resolve) => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => resolve((tabs && tabs[0]) || null));
+    });
+  }
+
+  function domainEntry(host) {
+    return host.replace(/^www\./, "");
+  }
+
+  // A URL prefix entry would block every page below this one (the whole site from its home page)
+  function pageEntry(url) {
+    const u = new URL(url);
+    const escaped = `${u.origin}${u.pathname}`.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    return `/^${escaped}(?:[?#].*)?$/`;
+  }
+
+  function formatTime(ms) {
+    return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }
+
+  function statusText(info) {
+    switch (info.status) {
+      case "blocked":
+        if (info.focus) return "Blocked (focus session)";
+        return info.action && info.action.type !== "lock" ? `Blocked (${info.action.label})` : "Blocked";
+      case "unlocked":
+        return info.expiresAt ? `Unlocked until ${formatTime(info.expiresAt)}` : "Unlocked until the tab closes";
+      case "allowed":
+        return "Listed, but not blocked right now";
+      default:
+        return "Not on the blocked list";
+    }
+  }
+
+  function addItem(text) {
+    const li = document.createElement("li");
+    li.textContent = text;
+    rulesEl.appendChild(li);
+  }
+
+  function render(info) {
+    rulesEl.textContent = "";
+    statusLineEl.className = "pop-status";
+
+    if (!info || info.status === "unsupported" || info.status === "error") {
+      hostEl.textContent = "This page";
+      statusLineEl.textContent =
+        info && info.status === "error" ? "Could not read the blocking status." : "Only web pages can be blocked.";
+      blockDomainBtn.disabled = true;
+      blockPageBtn.disabled = true;
+      relockBtn.hidden = true;
+      return;
+    }
+
+    hostEl.textContent = info.host;
+    statusLineEl.textContent = statusText(info);
+    statusLineEl.classList.add(info.focus && info.status === "blocked" ? "pop-status-focus" : `pop-status-${info.status}`);
+
+    for (const m of info.matches) {
+      const notes = `${m.exception ? " (exception)" : ""}${m.focus ? " (focus list)" : ` (${m.group})`}`;
+      addItem(`${m.entry} — ${SiteBlockerMatch.RULE_TYPE_LABELS[m.type] || m.type}${notes}`);
+    }
+    for (const b of info.budgets) {
+      addItem(`${b.pattern}: ${Math.round(b.usedSeconds / 60)} of ${b.minutes} min used today`);
+    }
+
+    blockDomainBtn.disabled = info.status === "blocked";
+    blockPageBtn.disabled = info.status === "blocked";
+    relockBtn.hidden = info.status !== "unlocked";
+  }
+
+  function renderFocus(focus) {
+    focusIdleEl.hidden = Boolean(focus);
+    focusRunningEl.hidden = !focus;
+    if (focus) {
+      focusUntilEl.textContent = `Running until ${formatTime(focus.endsAt)}. Unlocking is off.`;
+    } else {
+      focusEndFormEl.hidden = true;
+      focusEndBtn.hidden = false;
+    }
+  }
+
+  async function refresh() {
+    const { focus } = (await sendMessage({ type: "GET_FOCUS_SESSION" })) || {};
+    renderFocus(focus || null);
+
+    tab = await getActiveTab();
+    if (!tab || !tab.url) {
+      render(null);
+      return;
+    }
+    render(await sendMessage({ type: "GET_TAB_STATUS", tabId: tab.id, url: tab.url }));
+  }
+
+  async function block(entry) {
+    const result = (await sendMessage({ type: "BLOCK_ENTRY", tabId: tab.id, url: tab.url, entry })) || {};
+    if (result.added) {
+      messageEl.textContent = `Added "${entry}" to the group "${result.group}".`;
+    } else if (result.error) {
+      messageEl.textContent = `Could not add "${entry}".`;
+    } else {
+      messageEl.textContent = `"${entry}" is already on the blocked list.`;
+    }
+    await refresh();
+  }
+
+  // ------- Event wiring -------
+
+  blockDomainBtn.addEventListener("click", () => {
+    block(domainEntry(new URL(tab.url).hostname));
+  });
+
+  blockPageBtn.addEventListener("click", () => {
+    block(pageEntry(tab.url));
+  });
+
+  relockBtn.addEventListener("click", async () => {
+    await sendMessage({ type: "RELOCK_TAB", tabId: tab.id });
+    messageEl.textContent = "Relocked.";
+    await refresh();
+  });
+
+  focusStartBtn.addEventListener("click", async () => {
+    const minutes = Number(focusMinutesEl.value);
+    const result = (await sendMessage({ type: "START_FOCUS_SESSION", minutes })) || {};
+    if (result.ok) {
+      messageEl.textContent = `Focus session started until ${formatTime(result.endsAt)}.`;
+    } else if (result.error === "invalid") {
+      messageEl.textContent = "Enter a whole number of minutes between 1 and 480.";
+    } else {
+      messageEl.textContent = "Could not start the focus session.";
+    }
+    await refresh();
+  });
+
+  focusEndBtn.addEventListener("click", () => {
+    focusEndBtn.hidden = true;
+    focusEndFormEl.hidden = false;
+    focusPasswordEl.focus();
+  });
+
+  async function endFocusEarly() {
+    const password = focusPasswordEl.value || "";
+    const result = (await sendMessage({ type: "END_FOCUS_SESSION", password })) || { error: "unexpected" };
+    focusPasswordEl.value = "";
+    if (result.ok) {
+      messageEl.textContent = "Focus session ended.";
+    } else if (result.error === "no-password") {
+      messageEl.textContent = "No master password set. Open settings and create one.";
+    } else if (result.error) {
+      messageEl.textContent = "Could not check the password. Please try again.";
+    } else if (result.lockedUntil) {
+      const seconds = Math.max(1, Math.ceil((result.lockedUntil - Date.now()) / 1000));
+      messageEl.textContent = `Too many failed attempts. Try again in ${seconds} s.`;
+    } else {
+      messageEl.textContent = "Incorrect password.";
+    }
+    await refresh();
+  }
+
+  focusConfirmBtn.addEventListener("click", endFocusEarly);
+
+  focusPasswordEl.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      endFocusEarly();
+    }
+  });
+
+  optionsBtn.addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+
+  refresh();
+})();
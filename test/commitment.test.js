@@ -0,0 +1,112 @@
+"use strict";
+
+/**
+ * SiteBlockerCommitment.plan / applyChange: which changes apply at once and which wait for the delay.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+require(path.join(__dirname, "../lib/commitment.js"));
+
+const { plan, applyChange } = globalThis.SiteBlockerCommitment;
+
+const NOW = Date.UTC(2026, 0, 1);
+const HOUR_MS = 60 * 60 * 1000;
+
+function group(id, sites, extra = {}) {
+  return { id, name: id.toUpperCase(), enabled: true, requirePassword: false, sites, ...extra };
+}
+
+function settings(groups, focusSites = [], extra = {}) {
+  return { groups, focusSites, masterHash: "", commitmentDelayHours: 24, ...extra };
+}
+
+test("without a delay everything applies at once", () => {
+  const prev = settings([group("a", ["x.com"])], [], { commitmentDelayHours: 0 });
+  const next = settings([group("a", ["!x.com"])], [], { commitmentDelayHours: 0 });
+  const { effective, changes } = plan(prev, next, [], NOW);
+  assert.equal(effective, next);
+  assert.deepEqual(changes, []);
+});
+
+test("added block entries apply at once; removed ones wait", () => {
+  const prev = settings([group("a", ["x.com", "y.com"])]);
+  const next = settings([group("a", ["y.com", "z.com"])]);
+  const { effective, changes } = plan(prev, next, [], NOW);
+  assert.deepEqual(effective.groups[0].sites, ["y.com", "z.com", "x.com"]);
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].type, "remove-entries");
+  assert.deepEqual(changes[0].sites, ["x.com"]);
+  assert.equal(changes[0].applyAt, NOW + 24 * HOUR_MS);
+});
+
+test("added exceptions wait, in existing and new groups and in the focus list", () => {
+  const prev = settings([group("a", ["reddit.com"])], ["x.com"]);
+  const next = settings([group("a", ["reddit.com", "!reddit.com", "y.com"]), group("b", ["!x.com"])], ["x.com", "!x.com"]);
+  const { effective, changes } = plan(prev, next, [], NOW);
+  assert.deepEqual(effective.groups[0].sites, ["reddit.com", "y.com"]);
+  assert.deepEqual(effective.groups[1].sites, []);
+  assert.deepEqual(effective.focusSites, ["x.com"]);
+  assert.deepEqual(
+    changes.map((c) => [c.type, c.groupId, c.sites]),
+    [
+      ["add-exceptions", "a", ["!reddit.com"]],
+      ["add-exceptions", "b", ["!x.com"]],
+      ["add-focus-exceptions", undefined, ["!x.com"]]
+    ]
+  );
+
+  let data = effective;
+  for (const change of changes) data = applyChange(data, change);
+  assert.deepEqual(data.groups[0].sites, ["reddit.com", "y.com", "!reddit.com"]);
+  assert.deepEqual(data.groups[1].sites, ["!x.com"]);
+  assert.deepEqual(data.focusSites, ["x.com", "!x.com"]);
+});
+
+test("exceptions already in the list are not queued again", () => {
+  const prev = settings([group("a", ["reddit.com", "!old.reddit.com"])]);
+  const next = settings([group("a", ["reddit.com", "!old.reddit.com", "news.com"])]);
+  const { effective, changes } = plan(prev, next, [], NOW);
+  assert.deepEqual(effective.groups[0].sites, ["reddit.com", "!old.reddit.com", "news.com"]);
+  assert.deepEqual(changes, []);
+});
+
+test("a change already pending is not queued twice", () => {
+  const prev = settings([group("a", ["x.com"])]);
+  const next = settings([group("a", ["!x.com"])]);
+  const first = plan(prev, next, [], NOW);
+  const second = plan(prev, next, first.changes, NOW + HOUR_MS);
+  assert.deepEqual(second.changes, []);
+  assert.deepEqual(second.effective.groups[0].sites, ["x.com"]);
+});
+
+test("turning off a group and deleting one wait; the group stays in place", () => {
+  const prev = settings([group("a", ["x.com"]), group("b", ["y.com"])]);
+  const next = settings([group("a", ["x.com"], { enabled: false })]);
+  const { effective, changes } = plan(prev, next, [], NOW);
+  assert.deepEqual(
+    effective.groups.map((g) => [g.id, g.enabled]),
+    [
+      ["a", true],
+      ["b", true]
+    ]
+  );
+  assert.deepEqual(changes.map((c) => c.type).sort(), ["disable-group", "remove-group"]);
+});
+
+test("shortening the delay waits; lengthening it applies at once", () => {
+  const shorter = plan(settings([]), settings([], [], { commitmentDelayHours: 1 }), [], NOW);
+  assert.equal(shorter.effective.commitmentDelayHours, 24);
+  assert.deepEqual(
+    shorter.changes.map((c) => [c.type, c.hours]),
+    [["set-delay", 1]]
+  );
+
+  const longer = plan(settings([]), settings([], [], { commitmentDelayHours: 48 }), [], NOW);
+  assert.equal(longer.effective.commitmentDelayHours, 48);
+  assert.deepEqual(longer.changes, []);
+});
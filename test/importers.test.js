@@ -0,0 +1,105 @@
+"use strict";
+
+/**
+ * SiteBlockerImporters.parseList: each format turned into entries of our syntax, and what a listed host
+ * ends up blocking.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+require(path.join(__dirname, "../lib/matcher.js"));
+require(path.join(__dirname, "../lib/importers.js"));
+
+const { parseList, detectFormat } = globalThis.SiteBlockerImporters;
+const { isUrlBlocked } = globalThis.SiteBlockerMatch;
+
+test("hosts files block exactly the listed hosts and skip boilerplate", () => {
+  const text = [
+    "# comment",
+    "127.0.0.1 localhost",
+    "0.0.0.0 ads.example.com tracker.example.net # trailing",
+    "::1 ip6-localhost",
+    "example.org",
+    "0.0.0.0 bad_host!"
+  ].join("\n");
+  const result = parseList(text, "hosts");
+  assert.deepEqual(result.entries, ["=ads.example.com", "=tracker.example.net", "*.example.org"]);
+  assert.equal(result.converted, 3);
+  assert.equal(result.rejected, 1);
+  assert.equal(result.rejects[0].line, 6);
+});
+
+test("adblock rules convert to our syntax", () => {
+  const text = [
+    "[Adblock Plus 2.0]",
+    "! comment",
+    "||t.co^",
+    "||example.com/ads",
+    "|https://example.net/feed",
+    "|https://x.com/|",
+    "@@||ok.example.com^",
+    "domain-only.com",
+    "/track(er)?\\.js/",
+    "example.com##.feed",
+    "||img.example.com^$image",
+    "##.ad",
+    "||a*.com^"
+  ].join("\n");
+  const result = parseList(text, "adblock");
+  assert.deepEqual(result.entries, [
+    "*.t.co",
+    "example.com/ads",
+    "https://example.net/feed",
+    "/^https:\\/\\/x\\.com\\/$/",
+    "!*.ok.example.com",
+    "*.domain-only.com",
+    "/track(er)?\\.js/",
+    "example.com##.feed"
+  ]);
+  assert.equal(result.kept, 2);
+  assert.equal(result.converted, 6);
+  assert.deepEqual(
+    result.rejects.map((r) => r.line),
+    [11, 12, 13]
+  );
+});
+
+test("an imported host blocks itself and its subdomains, not hosts containing its name", () => {
+  const { entries } = parseList("||t.co^\nx.com", "adblock");
+  assert.ok(isUrlBlocked("https://t.co/abc", entries));
+  assert.ok(isUrlBlocked("https://sub.t.co/", entries));
+  assert.ok(isUrlBlocked("https://x.com/home", entries));
+  assert.ok(!isUrlBlocked("https://www.reddit.com/", entries));
+  assert.ok(!isUrlBlocked("https://www.microsoft.com/", entries));
+  assert.ok(!isUrlBlocked("https://netflix.com/", entries));
+  assert.ok(!isUrlBlocked("https://notx.com/", entries));
+});
+
+test("CSV reads the named column and counts duplicates", () => {
+  const text = ["name;Domain;notes", 'News;"news.example.com";x', "Again;news.example.com;", "Path;example.com/path;", ";;"].join(
+    "\n"
+  );
+  const result = parseList(text, "csv");
+  assert.deepEqual(result.entries, ["*.news.example.com", "example.com/path"]);
+  assert.equal(result.duplicates, 1);
+  assert.equal(result.rejected, 0);
+});
+
+test("invalid entries are rejected with the validator's message", () => {
+  const result = parseList("site\n/unclosed(/", "csv");
+  assert.deepEqual(result.entries, []);
+  assert.equal(result.rejected, 1);
+  assert.match(result.rejects[0].reason, /./);
+});
+
+test("detectFormat recognises each format", () => {
+  assert.equal(detectFormat("0.0.0.0 a.com\n0.0.0.0 b.com"), "hosts");
+  assert.equal(detectFormat("||a.com^\n! comment"), "adblock");
+  assert.equal(detectFormat("site,notes\na.com,x"), "csv");
+  assert.equal(detectFormat("anything", "list.CSV"), "csv");
+  assert.throws(() => parseList("", "json"), /Unknown list format/);
+});
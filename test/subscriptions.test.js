@@ -0,0 +1,48 @@
+"use strict";
+
+/**
+ * SiteBlockerSubscriptions: which entries a subscribed list may add.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+require(path.join(__dirname, "../lib/matcher.js"));
+require(path.join(__dirname, "../lib/importers.js"));
+require(path.join(__dirname, "../lib/subscriptions.js"));
+
+const { validateListEntry, parseListText, cachedEntries } = globalThis.SiteBlockerSubscriptions;
+
+test("only plain block entries are accepted", () => {
+  for (const entry of ["*.example.com", "=example.com", "https://example.com/feed", "example.com/ads"]) {
+    assert.equal(validateListEntry(entry), null, entry);
+  }
+  for (const entry of ["example.com", "!*.example.com", "*.example.com => close", "/ads/", "example.com##.feed"]) {
+    assert.notEqual(validateListEntry(entry), null, entry);
+  }
+});
+
+test("downloaded lists turn hosts into wildcard entries and reject the rest", () => {
+  const result = parseListText("||t.co^\n@@||ok.com^\n/ads/\nx.com", "https://lists.example/block.txt");
+  assert.equal(result.format, "adblock");
+  assert.deepEqual(result.entries, ["*.t.co", "*.x.com"]);
+  assert.equal(result.rejected, 2);
+});
+
+test("cachedEntries keeps the entries of current subscriptions only, deduplicated", () => {
+  const subscriptions = [
+    { id: "a", url: "https://a.example/list" },
+    { id: "b", url: "https://b.example/list" }
+  ];
+  const cache = {
+    a: { url: "https://a.example/list", entries: ["*.t.co", "=x.com", "loose.com"] },
+    b: { url: "https://b.example/old", entries: ["*.old.com"] },
+    c: { url: "https://c.example/list", entries: ["*.gone.com"] }
+  };
+  assert.deepEqual(cachedEntries(subscriptions, cache), ["*.t.co", "=x.com"]);
+  cache.b.url = "https://b.example/list";
+  assert.deepEqual(cachedEntries(subscriptions, cache), ["*.t.co", "=x.com", "*.old.com"]);
+});